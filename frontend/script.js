@@ -1,42 +1,249 @@
 // Real-Time Linguistic Bridge - Working Implementation
 
-class VoiceInterface {
+// Speech backends share this surface: start(options), stop() and result/error/start/end callbacks.
+// Results use the Web Speech event shape: { resultIndex, results: [[{ transcript, confidence }, ...] with isFinal] }
+class Recognizer {
+    constructor() {
+        this.handlers = { start: null, result: null, error: null, end: null };
+        // Whether start() listens to the microphone, as opposed to waiting for text
+        this.capturesAudio = true;
+    }
+
+    static isAvailable() {
+        return true;
+    }
+
+    start(options) {
+        throw new Error(`${this.constructor.name} does not implement start()`);
+    }
+
+    stop() {}
+
+    onStart(callback) {
+        this.handlers.start = callback;
+    }
+
+    onResult(callback) {
+        this.handlers.result = callback;
+    }
+
+    onError(callback) {
+        this.handlers.error = callback;
+    }
+
+    onEnd(callback) {
+        this.handlers.end = callback;
+    }
+
+    emit(type, payload) {
+        if (this.handlers[type]) {
+            this.handlers[type](payload);
+        }
+    }
+}
+
+class WebSpeechRecognizer extends Recognizer {
+    constructor() {
+        super();
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.recognition = new SpeechRecognition();
+        this.recognition.onstart = () => this.emit('start');
+        this.recognition.onresult = (event) => this.emit('result', event);
+        this.recognition.onerror = (event) => this.emit('error', event);
+        this.recognition.onend = () => this.emit('end');
+    }
+
+    static isAvailable() {
+        return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+    }
+
+    start({ language, continuous, interimResults, maxAlternatives }) {
+        this.recognition.lang = language;
+        this.recognition.continuous = continuous;
+        this.recognition.interimResults = interimResults;
+        this.recognition.maxAlternatives = maxAlternatives;
+        this.recognition.start();
+    }
+
+    stop() {
+        this.recognition.stop();
+    }
+}
+
+// Works everywhere: the vendor types (or pastes from an on-screen keyboard) instead of speaking
+class TypedTextRecognizer extends Recognizer {
     constructor() {
-        this.recognition = null;
+        super();
+        this.capturesAudio = false;
+        this.active = false;
+        this.language = null;
+    }
+
+    start({ language } = {}) {
+        this.active = true;
+        this.language = language;
+        this.emit('start');
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        this.emit('end');
+    }
+
+    // Typed text arrives whole, so it is a single final result the vendor is sure of
+    submit(text) {
+        const transcript = String(text || '').trim();
+        if (!transcript) return false;
+        if (!this.active) this.start({ language: this.language });
+        this.emit('result', {
+            resultIndex: 0,
+            results: [Object.assign([{ transcript, confidence: 1 }], { isFinal: true })]
+        });
+        this.stop();
+        return true;
+    }
+}
+
+// Hook for an on-device (e.g. WASM) recognizer running in a worker. The worker receives
+// { type: 'start', language, continuous, interimResults, maxAlternatives } and { type: 'stop' }, and posts
+// { type: 'start' | 'end' }, { type: 'error', error, message } and
+// { type: 'result', resultIndex, results: [{ isFinal, alternatives: [{ transcript, confidence }] }] }
+class WorkerRecognizer extends Recognizer {
+    constructor(scriptUrl) {
+        super();
+        this.scriptUrl = scriptUrl;
+        this.worker = null;
+    }
+
+    static isAvailable() {
+        return typeof Worker !== 'undefined';
+    }
+
+    start(options) {
+        if (!this.worker) {
+            this.worker = new Worker(this.scriptUrl);
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.emit('error', { error: 'worker', message: event.message });
+        }
+        this.worker.postMessage({ type: 'start', ...options });
+    }
+
+    stop() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'stop' });
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'start':
+            case 'end':
+                this.emit(message.type);
+                break;
+            case 'result':
+                this.emit('result', {
+                    resultIndex: message.resultIndex || 0,
+                    results: message.results.map(result =>
+                        Object.assign(result.alternatives.map(alternative => ({ ...alternative })), { isFinal: Boolean(result.isFinal) }))
+                });
+                break;
+            case 'error':
+                this.emit('error', { error: message.error || 'worker', message: message.message });
+                break;
+            default:
+                console.warn('Unknown recognizer worker message:', message.type);
+        }
+    }
+}
+
+class VoiceInterface {
+    constructor(options = {}) {
+        this.recognizer = null;
+        this.backend = null;
+        this.backends = new Map();
         this.isListening = false;
         this.onSpeechResultCallback = null;
         this.onErrorCallback = null;
         this.onConfidenceUpdate = null;
-        
-        this.initializeRecognition();
+        this.onInterimResultCallback = null;
+
+        // Streaming keeps listening through pauses and shows partial text; the utterance ends after this much silence
+        this.streaming = true;
+        this.silenceTimeoutMs = 1500;
+        this.silenceTimer = null;
+        this.finalSegments = [];
+        this.pendingInterim = '';
+        this.cancelled = false;
+        this.defaultConfidence = 0.8;
+        // Extra hypotheses let the domain re-ranker recover "pyaaz" when the top guess is "pious"
+        this.maxAlternatives = 5;
+
+        // Backends are tried in registration order; the first available one is used until another is picked
+        this.registerBackend('webspeech', () => new WebSpeechRecognizer(), () => WebSpeechRecognizer.isAvailable());
+        // A local recognizer (e.g. an offline model) runs in a worker and is only offered when its script is configured
+        if (options.workerScriptUrl) {
+            this.registerBackend('worker', () => new WorkerRecognizer(options.workerScriptUrl), () => WorkerRecognizer.isAvailable());
+        }
+        this.registerBackend('typed', () => new TypedTextRecognizer());
+        this.useBackend(this.getAvailableBackends()[0]);
     }
 
     static isSupported() {
-        return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+        return WebSpeechRecognizer.isAvailable();
     }
 
-    initializeRecognition() {
-        if (!VoiceInterface.isSupported()) {
-            console.warn('Speech recognition not supported in this browser');
-            return;
+    registerBackend(name, create, isAvailable = () => true) {
+        this.backends.set(name, { create, isAvailable, instance: null });
+    }
+
+    getAvailableBackends() {
+        return [...this.backends.keys()].filter(name => this.backends.get(name).isAvailable());
+    }
+
+    useBackend(name) {
+        const backend = this.backends.get(name);
+        if (!backend || !backend.isAvailable()) {
+            console.warn(`Recognizer backend "${name}" is not available`);
+            return false;
         }
+        if (this.backend === name) return true;
 
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        this.recognition = new SpeechRecognition();
-        
-        this.recognition.continuous = false;
-        this.recognition.interimResults = false;
-        this.recognition.maxAlternatives = 1;
-        
-        this.recognition.onstart = () => {
+        if (this.isListening) {
+            this.cancelListening();
+        }
+        backend.instance = backend.instance || backend.create();
+        this.setRecognizer(backend.instance);
+        this.backend = name;
+        return true;
+    }
+
+    // True when the current backend listens to the microphone rather than waiting for typed text
+    canListen() {
+        return Boolean(this.recognizer && this.recognizer.capturesAudio);
+    }
+
+    setRecognizer(recognizer) {
+        this.recognizer = recognizer;
+        // A backend switched away from may still fire a late end or error; only the current one counts
+        const current = handler => (event) => {
+            if (this.recognizer === recognizer) handler(event);
+        };
+
+        recognizer.onStart(current(() => {
             this.isListening = true;
             console.log('Speech recognition started');
-        };
+        }));
+
+        recognizer.onResult(current((event) => {
+            if (this.cancelled) return;
+            if (this.streaming) {
+                this.handleStreamingResult(event);
+                return;
+            }
 
-        this.recognition.onresult = (event) => {
-            const result = event.results[0];
-            const transcript = result[0].transcript;
-            const confidence = result[0].confidence || 0.8;
+            const alternatives = this.readAlternatives(event.results[0]);
+            const { transcript, confidence } = alternatives[0];
             
             console.log('Speech result:', transcript, 'Confidence:', confidence);
             
@@ -48,28 +255,129 @@ class VoiceInterface {
                 this.onSpeechResultCallback({
                     text: transcript,
                     confidence: confidence,
+                    alternatives,
                     timestamp: new Date().toISOString()
                 });
             }
-        };
+        }));
 
-        this.recognition.onerror = (event) => {
+        recognizer.onError(current((event) => {
             console.error('Speech recognition error:', event.error);
             this.isListening = false;
+            this.resetStream();
             
             if (this.onErrorCallback) {
                 this.onErrorCallback(event);
             }
-        };
+        }));
 
-        this.recognition.onend = () => {
+        recognizer.onEnd(current(() => {
             this.isListening = false;
             console.log('Speech recognition ended');
-        };
+            // The browser can end a continuous session on its own; whatever was heard still counts
+            this.finishUtterance();
+        }));
+    }
+
+    handleStreamingResult(event) {
+        let interim = '';
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            const transcript = result[0].transcript.trim();
+            if (result.isFinal) {
+                if (transcript) {
+                    const alternatives = this.readAlternatives(result);
+                    this.finalSegments.push({ text: transcript, confidence: alternatives[0].confidence, alternatives });
+                }
+            } else {
+                interim += `${transcript} `;
+            }
+        }
+        this.pendingInterim = interim.trim();
+
+        const committed = this.finalSegments.map(segment => segment.text).join(' ');
+        if (this.onInterimResultCallback) {
+            this.onInterimResultCallback({
+                committed,
+                partial: this.pendingInterim,
+                text: [committed, this.pendingInterim].filter(Boolean).join(' ')
+            });
+        }
+        if (this.onConfidenceUpdate && this.finalSegments.length > 0) {
+            this.onConfidenceUpdate(this.getStreamConfidence());
+        }
+
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = setTimeout(() => this.stopListening(), this.silenceTimeoutMs);
+    }
+
+    readAlternatives(result) {
+        return Array.from(result)
+            .map(alternative => ({
+                transcript: alternative.transcript.trim(),
+                confidence: alternative.confidence || this.defaultConfidence
+            }))
+            .filter(alternative => alternative.transcript.length > 0);
+    }
+
+    // The k-th utterance hypothesis joins every segment's k-th alternative, falling back to its best one
+    combineAlternatives(segments) {
+        const count = Math.max(...segments.map(segment => segment.alternatives.length));
+        return Array.from({ length: count }, (_, k) => {
+            const picked = segments.map(segment => segment.alternatives[k] || segment.alternatives[0]);
+            return {
+                transcript: picked.map(alternative => alternative.transcript).join(' '),
+                confidence: picked.reduce((sum, alternative) => sum + alternative.confidence, 0) / picked.length
+            };
+        });
+    }
+
+    getStreamConfidence() {
+        if (this.finalSegments.length === 0) return this.defaultConfidence;
+        return this.finalSegments.reduce((sum, segment) => sum + segment.confidence, 0) / this.finalSegments.length;
+    }
+
+    finishUtterance() {
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = null;
+        if (!this.streaming) return;
+
+        // Speech cut off mid-phrase never turns final, so the last partial is kept rather than lost
+        if (this.pendingInterim) {
+            const interim = { transcript: this.pendingInterim, confidence: this.defaultConfidence };
+            this.finalSegments.push({ text: this.pendingInterim, confidence: interim.confidence, alternatives: [interim] });
+        }
+        const segments = this.finalSegments;
+        this.resetStream();
+        if (segments.length === 0) return;
+
+        const text = segments.map(segment => segment.text).join(' ');
+        const confidence = segments.reduce((sum, segment) => sum + segment.confidence, 0) / segments.length;
+        console.log('Speech result:', text, 'Confidence:', confidence);
+
+        if (this.onConfidenceUpdate) {
+            this.onConfidenceUpdate(confidence);
+        }
+        if (this.onSpeechResultCallback) {
+            this.onSpeechResultCallback({
+                text,
+                confidence,
+                segments: segments.map(segment => segment.text),
+                alternatives: this.combineAlternatives(segments),
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    resetStream() {
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = null;
+        this.finalSegments = [];
+        this.pendingInterim = '';
     }
 
     startListening(language = 'en-US') {
-        if (!this.recognition) {
+        if (!this.recognizer) {
             console.error('Speech recognition not initialized');
             return false;
         }
@@ -80,8 +388,14 @@ class VoiceInterface {
         }
 
         try {
-            this.recognition.lang = language;
-            this.recognition.start();
+            this.resetStream();
+            this.cancelled = false;
+            this.recognizer.start({
+                language,
+                continuous: this.streaming,
+                interimResults: this.streaming,
+                maxAlternatives: this.maxAlternatives
+            });
             return true;
         } catch (error) {
             console.error('Error starting speech recognition:', error);
@@ -94,9 +408,11 @@ class VoiceInterface {
     }
 
     stopListening() {
-        if (this.recognition && this.isListening) {
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = null;
+        if (this.recognizer && this.isListening) {
             try {
-                this.recognition.stop();
+                this.recognizer.stop();
             } catch (error) {
                 console.error('Error stopping recognition:', error);
             }
@@ -104,196 +420,2124 @@ class VoiceInterface {
         }
     }
 
+    // Stops without delivering what was heard, e.g. when switching modes or speakers
+    cancelListening() {
+        this.cancelled = true;
+        this.resetStream();
+        this.stopListening();
+    }
+
+    // Feeds typed text through the same result path as speech; needs a backend that accepts text
+    submitText(text, language = 'en-US') {
+        if (!this.recognizer || typeof this.recognizer.submit !== 'function') {
+            console.error(`Recognizer backend "${this.backend}" does not accept typed text`);
+            return false;
+        }
+        if (!this.isListening && !this.startListening(language)) {
+            return false;
+        }
+        return this.recognizer.submit(text);
+    }
+
     onSpeechResult(callback) {
         this.onSpeechResultCallback = callback;
     }
 
+    onInterimResult(callback) {
+        this.onInterimResultCallback = callback;
+    }
+
+    onConfidence(callback) {
+        this.onConfidenceUpdate = callback;
+    }
+
     onError(callback) {
         this.onErrorCallback = callback;
     }
 }
 
-class IntentClassifier {
+class EntityExtractor {
     constructor() {
-        this.intentPatterns = {
-            bargaining: {
-                english: ['price', 'cost', 'rate', 'cheap', 'expensive', 'discount', 'deal', 'negotiate'],
-                hindi: ['daam', 'kimat', 'rate', 'sasta', 'mehnga', 'kam', 'zyada', 'mol', 'bhav'],
-                kannada: ['bele', 'rate', 'olleya', 'ketta', 'kammi', 'jaasti', 'vyavasthe', 'mol']
+        this.numberWords = {
+            english: {
+                half: 0.5, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+                ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+                eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40,
+                fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
             },
-            bulk_purchase: {
-                english: ['bulk', 'wholesale', 'quantity', 'lots', 'many', 'kilos', 'tons'],
-                hindi: ['thok', 'bada', 'quantity', 'zyada', 'kilo', 'ton', 'bori'],
-                kannada: ['thumba', 'dodda', 'quantity', 'jaasti', 'kilo', 'ton', 'gunny']
+            hindi: {
+                aadha: 0.5, aadhaa: 0.5, adha: 0.5, dedh: 1.5, dhai: 2.5, ek: 1, do: 2, teen: 3, char: 4, chaar: 4,
+                panch: 5, paanch: 5, chhe: 6, chhah: 6, saat: 7, aath: 8, nau: 9, das: 10, gyarah: 11,
+                barah: 12, baarah: 12, pandrah: 15, bees: 20, pachees: 25, tees: 30, chalees: 40,
+                pachas: 50, pachaas: 50, saath: 60,
+                'आधा': 0.5, 'डेढ़': 1.5, 'ढाई': 2.5, 'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5,
+                'पाँच': 5, 'छह': 6, 'सात': 7, 'आठ': 8, 'नौ': 9, 'दस': 10, 'बारह': 12, 'पंद्रह': 15,
+                'बीस': 20, 'पच्चीस': 25, 'तीस': 30, 'चालीस': 40, 'पचास': 50
             },
-            casual_inquiry: {
-                english: ['what', 'how', 'tell', 'know', 'information', 'help', 'available'],
-                hindi: ['kya', 'kaise', 'batao', 'pata', 'jaankari', 'madad', 'milta'],
-                kannada: ['yenu', 'hege', 'heli', 'gottide', 'mahiti', 'sahaya', 'sigutta']
+            kannada: {
+                ardha: 0.5, ondu: 1, eradu: 2, mooru: 3, naalku: 4, aidu: 5, aaru: 6, elu: 7, entu: 8,
+                ombattu: 9, hattu: 10, hanneradu: 12, hadinaidu: 15, ippattu: 20, ippattaidu: 25,
+                moovattu: 30, nalavattu: 40, aivattu: 50,
+                'ಅರ್ಧ': 0.5, 'ಒಂದು': 1, 'ಎರಡು': 2, 'ಮೂರು': 3, 'ನಾಲ್ಕು': 4, 'ಐದು': 5, 'ಆರು': 6, 'ಏಳು': 7,
+                'ಎಂಟು': 8, 'ಒಂಬತ್ತು': 9, 'ಹತ್ತು': 10, 'ಇಪ್ಪತ್ತು': 20, 'ಮೂವತ್ತು': 30, 'ಐವತ್ತು': 50
             }
         };
 
-        this.productPatterns = {
-            vegetables: {
-                english: ['onion', 'potato', 'tomato', 'carrot', 'cabbage'],
-                hindi: ['pyaaz', 'aloo', 'tamatar', 'gajar', 'patta'],
-                kannada: ['eerulli', 'aalugadde', 'tomato', 'carrot', 'kosu']
-            },
-            fruits: {
-                english: ['apple', 'banana', 'orange', 'mango', 'grapes'],
-                hindi: ['seb', 'kela', 'santra', 'aam', 'angoor'],
-                kannada: ['sebu', 'balehannu', 'kittale', 'maavu', 'drakshi']
-            }
+        // Number words that are also everyday words ("ke saath" is "with") count only before a unit or rupee word
+        this.ambiguousNumberWords = ['saath'];
+
+        this.multiplierWords = {
+            hundred: 100, sau: 100, nooru: 100, 'सौ': 100, 'ನೂರು': 100,
+            thousand: 1000, hazaar: 1000, hazar: 1000, saavira: 1000, 'हज़ार': 1000, 'हजार': 1000, 'ಸಾವಿರ': 1000
         };
-    }
 
-    async classifyIntent(text, language = 'english') {
-        const normalizedText = text.toLowerCase();
-        const words = normalizedText.split(/\s+/);
-        
-        const scores = {
-            bargaining: this.calculateIntentScore(words, 'bargaining', language),
-            bulk_purchase: this.calculateIntentScore(words, 'bulk_purchase', language),
-            casual_inquiry: this.calculateIntentScore(words, 'casual_inquiry', language)
+        this.units = {
+            kg: { words: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'किलो', 'ಕಿಲೋ', 'ಕೆಜಿ', 'கிலோ'], baseUnit: 'kg', factor: 1 },
+            g: { words: ['g', 'gm', 'gms', 'gram', 'grams', 'ग्राम', 'ಗ್ರಾಂ', 'கிராம்'], baseUnit: 'kg', factor: 0.001 },
+            quintal: { words: ['quintal', 'quintals', 'kwintal', 'क्विंटल', 'ಕ್ವಿಂಟಾಲ್', 'குவிண்டால்'], baseUnit: 'kg', factor: 100 },
+            bori: { words: ['bori', 'bora', 'boris', 'sack', 'sacks', 'gunny', 'cheela', 'moottai', 'बोरी', 'ಚೀಲ', 'மூட்டை'], baseUnit: 'kg', factor: 50 },
+            liter: { words: ['l', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters', 'लीटर', 'ಲೀಟರ್', 'லிட்டர்'], baseUnit: 'liter', factor: 1 },
+            ml: { words: ['ml', 'मिली', 'ಮಿಲಿ', 'மி.லி'], baseUnit: 'liter', factor: 0.001 },
+            dozen: { words: ['dozen', 'dozens', 'darjan', 'दर्जन', 'ಡಜನ್', 'டஜன்'], baseUnit: 'piece', factor: 12 },
+            piece: { words: ['piece', 'pieces', 'pc', 'pcs', 'nag', 'nos', 'पीस', 'ಪೀಸ್', 'பீஸ்'], baseUnit: 'piece', factor: 1 }
         };
-        
-        const maxScore = Math.max(...Object.values(scores));
-        const detectedIntent = Object.keys(scores).find(key => scores[key] === maxScore);
-        
-        const product = this.extractProduct(words, language);
-        const category = this.determineCategory(product, language);
-        
-        return {
-            type: detectedIntent,
-            confidence: maxScore,
-            keywords: this.extractMatchingKeywords(words, detectedIntent, language),
-            product: product,
-            category: category,
-            originalText: text,
-            language: language,
-            timestamp: new Date().toISOString()
+
+        this.currencyPrefixes = ['₹', 'rs', 'inr', 'rupees'];
+        this.currencySuffixes = ['rs', 'rupee', 'rupees', 'rupaye', 'rupaiye', 'rupay', 'rupaiya', 'rupayi', 'rupaayi',
+            'रुपये', 'रुपए', 'रुपया', 'ರೂಪಾಯಿ'];
+        this.perUnitMarkers = ['per', '/', 'a', 'prati', 'प्रति', 'ಪ್ರತಿ'];
+        this.priceMarkers = ['mein', 'में', 'ge', 'ಗೆ'];
+        // An amount next to these is what the vendor paid ("maine 30 mein liya", "cost 30"), not an offer
+        this.costMarkers = ['liya', 'kharida', 'kharidi', 'khareeda', 'khareedi', 'लिया', 'खरीदा', 'bought', 'purchased',
+            'tagonde', 'kondkonde', 'ತಗೊಂಡೆ', 'vaanginen', 'vanginen', 'வாங்கினேன்'];
+        this.costPrefixes = ['cost', 'lagat', 'laagat', 'लागत', 'purchase', 'wholesale'];
+        this.costWindow = 3;
+        // A bare amount right after "offering" or right before "bol raha" is the customer's offer
+        this.offerMarkers = {
+            before: ['offer', 'offers', 'offering', 'offered'],
+            after: ['bol', 'bola', 'boli', 'bolta', 'bolti', 'keh', 'kehta', 'kehti', 'dega', 'degi', 'denge',
+                'बोल', 'बोला', 'बोली', 'कह', 'देगा', 'देगी', 'heltidare', 'helidru', 'ಹೇಳ್ತಿದ್ದಾರೆ', 'kodtare', 'ಕೊಡ್ತಾರೆ']
         };
     }
 
-    calculateIntentScore(words, intentType, language) {
-        const patterns = this.intentPatterns[intentType];
-        if (!patterns || !patterns[language]) {
-            return 0;
-        }
-        
-        const keywords = patterns[language];
-        let matches = 0;
-        
-        words.forEach(word => {
-            if (keywords.some(keyword => word.includes(keyword) || keyword.includes(word))) {
-                matches++;
+    extract(text) {
+        const tokens = this.tokenize(text);
+        const quantities = [];
+        const prices = [];
+        const costPrices = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const number = this.readNumber(tokens, i);
+            if (!number) continue;
+
+            const hasPrefix = this.currencyPrefixes.includes(tokens[i - 1]);
+            const next = tokens[number.end];
+            const priceEnd = number.end + (this.currencySuffixes.includes(next) ? 1 : 0);
+            const perUnit = this.perUnitMarkers.includes(tokens[priceEnd]) ? this.lookupUnit(tokens[priceEnd + 1]) : null;
+
+            const hasMarker = priceEnd === number.end && this.priceMarkers.includes(next);
+            const isOffer = priceEnd === number.end && !this.lookupUnit(next) && this.isOfferAmount(tokens, i, number.end);
+            const end = perUnit ? priceEnd + 2 : priceEnd;
+            const isCost = !this.lookupUnit(next) && this.isCostAmount(tokens, i, end);
+
+            if (hasPrefix || priceEnd > number.end || perUnit || hasMarker || isOffer || isCost) {
+                (isCost ? costPrices : prices).push({
+                    amount: number.value,
+                    perUnit: perUnit ? perUnit.baseUnit : null,
+                    text: tokens.slice(hasPrefix ? i - 1 : i, end).join(' ')
+                });
+                i = end - 1;
+                continue;
             }
-        });
-        
-        return matches / words.length;
+
+            const unit = this.lookupUnit(next);
+            if (unit) {
+                quantities.push({
+                    value: number.value,
+                    unit: unit.name,
+                    baseValue: Math.round(number.value * unit.factor * 1000) / 1000,
+                    baseUnit: unit.baseUnit,
+                    text: tokens.slice(i, number.end + 1).join(' '),
+                    start: i,
+                    end: number.end + 1
+                });
+                i = number.end;
+            } else if (number.numeric) {
+                // A bare digit count such as "6 ande" takes the product's own unit later
+                quantities.push({
+                    value: number.value,
+                    unit: null,
+                    baseValue: number.value,
+                    baseUnit: null,
+                    text: tokens.slice(i, number.end).join(' '),
+                    start: i,
+                    end: number.end
+                });
+                i = number.end - 1;
+            }
+        }
+
+        return { quantities, prices, costPrices };
     }
 
-    extractProduct(words, language) {
-        for (const category of Object.keys(this.productPatterns)) {
-            const products = this.productPatterns[category][language] || [];
-            for (const product of products) {
-                if (words.some(word => word.includes(product) || product.includes(word))) {
-                    return product;
+    isCostAmount(tokens, start, end) {
+        const before = tokens.slice(Math.max(0, start - this.costWindow), start);
+        const after = tokens.slice(end, end + this.costWindow);
+        return before.some(token => this.costPrefixes.includes(token)) || after.some(token => this.costMarkers.includes(token));
+    }
+
+    isOfferAmount(tokens, start, end) {
+        return this.offerMarkers.before.includes(tokens[start - 1]) || this.offerMarkers.after.includes(tokens[end]);
+    }
+
+    tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+            .replace(/[೦-೯]/g, digit => String(digit.charCodeAt(0) - 0x0CE6))
+            .replace(/(\d),(?=\d{3}\b)/g, '$1')
+            .replace(/(\d)(?=[^\d\s.])/g, '$1 ')
+            .replace(/([^\d\s.]|[^\d\s]\.)(?=\d)/g, '$1 ')
+            .replace(/\//g, ' / ')
+            .split(/\s+/)
+            .map(token => token.replace(/^[.,!?;:]+|[.,!?;:]+$/g, ''))
+            .filter(token => token.length > 0);
+    }
+
+    // Reads a digit token or a run of number words ("do sau", "twenty five") starting at index
+    readNumber(tokens, index) {
+        const first = tokens[index];
+        if (/^\d+(\.\d+)?$/.test(first)) {
+            let value = parseFloat(first);
+            let end = index + 1;
+            while (end < tokens.length && this.multiplierWords[tokens[end]]) {
+                value *= this.multiplierWords[tokens[end]];
+                end++;
+            }
+            return { value, end, numeric: true };
+        }
+
+        let total = 0;
+        let current = 0;
+        let end = index;
+        while (end < tokens.length) {
+            const token = tokens[end];
+            const wordValue = this.lookupNumberWord(token);
+            const following = tokens[end + 1];
+            if (this.ambiguousNumberWords.includes(token) && !this.lookupUnit(following) && !this.currencySuffixes.includes(following)) {
+                break;
+            }
+            if (wordValue !== null) {
+                current += wordValue;
+            } else if (this.multiplierWords[token] && end > index) {
+                current = current * this.multiplierWords[token];
+                if (this.multiplierWords[token] >= 1000) {
+                    total += current;
+                    current = 0;
                 }
+            } else {
+                break;
             }
+            end++;
         }
-        return 'general item';
+
+        return end > index ? { value: total + current, end, numeric: false } : null;
     }
 
-    determineCategory(product, language) {
-        for (const [category, languages] of Object.entries(this.productPatterns)) {
-            const products = languages[language] || [];
-            if (products.includes(product)) {
-                return category;
+    lookupNumberWord(token) {
+        for (const words of Object.values(this.numberWords)) {
+            if (Object.prototype.hasOwnProperty.call(words, token)) {
+                return words[token];
             }
         }
-        return 'general';
+        return null;
     }
 
-    extractMatchingKeywords(words, intentType, language) {
-        const patterns = this.intentPatterns[intentType];
-        if (!patterns || !patterns[language]) {
-            return [];
+    lookupUnit(token) {
+        if (!token) return null;
+        for (const [name, unit] of Object.entries(this.units)) {
+            if (unit.words.includes(token)) {
+                return { name, baseUnit: unit.baseUnit, factor: unit.factor };
+            }
         }
-        
-        const keywords = patterns[language];
-        return words.filter(word => 
-            keywords.some(keyword => word.includes(keyword) || keyword.includes(word))
-        );
+        return null;
     }
 }
 
-class TranslationEngine {
+class ProductMatcher {
     constructor() {
-        this.tradeTerms = {
-            hindi: {
-                'what is the price': 'kya daam hai',
-                'how much': 'kitna',
-                'too expensive': 'bahut mehnga',
-                'good price': 'accha daam'
-            },
-            kannada: {
-                'what is the price': 'bele eshtu',
-                'how much': 'eshtu',
-                'too expensive': 'thumba jaasti',
-                'good price': 'olleya bele'
-            }
+        this.entries = [];
+        this.stopWords = new Set();
+        this.acceptScore = 0.75;
+
+        // Brahmic blocks from Devanagari (U+0900) to Malayalam (U+0D7F) share one layout,
+        // so a single offset table romanizes Hindi, Kannada, Tamil, Bengali and the rest
+        this.indicVowels = {
+            0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ii', 0x09: 'u', 0x0A: 'uu', 0x0B: 'ri',
+            0x0E: 'e', 0x0F: 'e', 0x10: 'ai', 0x12: 'o', 0x13: 'o', 0x14: 'au'
+        };
+        this.indicConsonants = {
+            0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'ng', 0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j',
+            0x1D: 'jh', 0x1E: 'ny', 0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n', 0x24: 't',
+            0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n', 0x2A: 'p', 0x2B: 'ph', 0x2C: 'b',
+            0x2D: 'bh', 0x2E: 'm', 0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'zh',
+            0x35: 'v', 0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h'
+        };
+        this.devanagariNuktaConsonants = {
+            0x58: 'q', 0x59: 'kh', 0x5A: 'gh', 0x5B: 'z', 0x5C: 'r', 0x5D: 'rh', 0x5E: 'f', 0x5F: 'y'
+        };
+        this.indicVowelSigns = {
+            0x3E: 'aa', 0x3F: 'i', 0x40: 'ii', 0x41: 'u', 0x42: 'uu', 0x43: 'ri',
+            0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au'
         };
     }
 
-    async translate(text, fromLanguage, toLanguage, intent = null) {
-        return text;
+    setEntries(entries) {
+        this.entries = entries.map(entry => ({ ...entry, key: this.phoneticKey(entry.alias) }));
     }
-}
 
-class PriceDiscoveryEngine {
-    constructor() {
-        this.priceData = {};
-        this.fallbackPrices = {
-            vegetables: { min: 20, avg: 40, max: 80, unit: 'kg' },
-            fruits: { min: 30, avg: 60, max: 120, unit: 'kg' },
-            general: { min: 25, avg: 50, max: 100, unit: 'kg' }
-        };
+    setStopWords(words) {
+        this.stopWords = new Set(words.map(word => this.transliterate(word.toLowerCase())));
     }
 
-    loadPriceData(data) {
-        this.priceData = data;
-        console.log('Price data loaded:', Object.keys(data).length, 'items');
-    }
+    transliterate(text) {
+        let output = '';
+        let pendingVowel = false;
+        let pendingDevanagari = false;
 
-    async getMarketPrice(product, category = 'general') {
-        let priceInfo = this.findExactMatch(product);
-        
-        if (!priceInfo) {
-            priceInfo = this.getCategoryPricing(category);
+        const flush = (wordEnd) => {
+            // Hindi drops the inherent vowel at the end of a word (प्याज = pyaaj, not pyaaja)
+            if (pendingVowel && !(wordEnd && pendingDevanagari)) {
+                output += 'a';
+            }
+            pendingVowel = false;
+        };
+
+        for (const char of String(text || '')) {
+            const code = char.codePointAt(0);
+            if (code < 0x0900 || code > 0x0D7F) {
+                flush(true);
+                output += char;
+                continue;
+            }
+
+            const offset = code & 0x7F;
+            const isDevanagari = code < 0x0980;
+
+            if (this.indicVowelSigns[offset]) {
+                output += this.indicVowelSigns[offset];
+                pendingVowel = false;
+            } else if (offset === 0x4D) {
+                pendingVowel = false;
+            } else if (offset === 0x3C) {
+                continue;
+            } else if (this.indicConsonants[offset] || (isDevanagari && this.devanagariNuktaConsonants[offset])) {
+                flush(false);
+                output += this.indicConsonants[offset] || this.devanagariNuktaConsonants[offset];
+                pendingVowel = true;
+                pendingDevanagari = isDevanagari;
+            } else if (this.indicVowels[offset]) {
+                flush(false);
+                output += this.indicVowels[offset];
+            } else if (offset === 0x01 || offset === 0x02) {
+                flush(false);
+                output += 'n';
+            } else if (offset === 0x03) {
+                flush(false);
+                output += 'h';
+            } else if (offset >= 0x66 && offset <= 0x6F) {
+                flush(true);
+                output += String(offset - 0x66);
+            } else {
+                flush(true);
+            }
         }
-        
-        return this.addMarketIntelligence(priceInfo, product, category);
+        flush(true);
+
+        return output;
     }
 
-    findExactMatch(product) {
-        const normalizedProduct = product.toLowerCase();
-        
-        if (this.priceData[normalizedProduct]) {
-            return { ...this.priceData[normalizedProduct] };
-        }
-        
-        for (const [key, value] of Object.entries(this.priceData)) {
-            if (key.includes(normalizedProduct) || normalizedProduct.includes(key)) {
-                return { ...value, product: key };
+    phoneticKey(word) {
+        return this.transliterate(String(word || '').toLowerCase())
+            .replace(/[^a-z0-9]/g, '')
+            .replace(/ph/g, 'f')
+            .replace(/([bcdgjkpst])h+/g, '$1')
+            .replace(/w/g, 'v')
+            .replace(/z/g, 'j')
+            .replace(/q/g, 'k')
+            .replace(/x/g, 'ks')
+            .replace(/ee/g, 'i')
+            .replace(/oo/g, 'u')
+            .replace(/(.)\1+/g, '$1')
+            // Inflected endings vary in speech (kela/kele, anda/ande), so the final vowel is ignored
+            .replace(/^(.{3,})[aeiou]$/, '$1');
+    }
+
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+                current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
             }
+            previous = current;
         }
-        
-        return null;
+
+        return previous[b.length];
     }
 
-    getCategoryPricing(category) {
-        const fallback = this.fallbackPrices[category] || this.fallbackPrices.general;
+    scoreToken(token, entry) {
+        if (token === entry.alias.toLowerCase()) return 1;
+
+        const key = this.phoneticKey(token);
+        if (key.length < 3 || key[0] !== entry.key[0]) return 0;
+        if (key === entry.key) return 0.95;
+
+        const longest = Math.max(key.length, entry.key.length);
+        const allowedDistance = longest <= 4 ? 0 : longest <= 7 ? 1 : 2;
+        const distance = this.editDistance(key, entry.key);
+
+        return distance <= allowedDistance ? Math.round((0.95 - 0.2 * distance) * 100) / 100 : 0;
+    }
+
+    rank(words, limit = 3) {
+        const tokens = words
+            .map(word => String(word || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, ''))
+            .filter(word => word.length > 0);
+        const phrases = [...tokens];
+        for (let i = 0; i + 1 < tokens.length; i++) {
+            phrases.push(`${tokens[i]} ${tokens[i + 1]}`, `${tokens[i]}${tokens[i + 1]}`);
+        }
+
+        const best = new Map();
+        phrases.forEach(phrase => {
+            const fuzzy = !this.stopWords.has(this.transliterate(phrase));
+            this.entries.forEach(entry => {
+                const score = fuzzy ? this.scoreToken(phrase, entry) : (phrase === entry.alias.toLowerCase() ? 1 : 0);
+                const current = best.get(entry.product);
+                if (score > 0 && (!current || score > current.score)) {
+                    best.set(entry.product, { product: entry.product, category: entry.category, alias: entry.alias, heard: phrase, score });
+                }
+            });
+        });
+
+        return [...best.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+class IntentClassifier {
+    constructor() {
+        this.entityExtractor = new EntityExtractor();
+        this.productMatcher = new ProductMatcher();
+        this.catalog = null;
+
+        this.intentPatterns = {
+            bargaining: {
+                english: ['cheap', 'expensive', 'discount', 'deal', 'negotiate', 'offer', 'less', 'reduce', 'final'],
+                hindi: ['sasta', 'mehnga', 'kam', 'zyada', 'mol', 'chhoot', 'kamti', 'सस्ता', 'महंगा', 'कम', 'मोल', 'छूट'],
+                kannada: ['kammi', 'jaasti', 'vyavasthe', 'mol', 'kadime', 'discount', 'ಕಮ್ಮಿ', 'ಜಾಸ್ತಿ', 'ಕಡಿಮೆ'],
+                tamil: ['korachu', 'kuraivu', 'adhigam', 'குறைச்சு', 'குறைவு', 'அதிகம்', 'தள்ளுபடி']
+            },
+            bulk_purchase: {
+                english: ['bulk', 'wholesale', 'quantity', 'lots', 'many', 'kilos', 'tons'],
+                hindi: ['thok', 'bada', 'quantity', 'zyada', 'kilo', 'ton', 'bori', 'थोक', 'किलो', 'बोरी'],
+                kannada: ['thumba', 'dodda', 'quantity', 'jaasti', 'kilo', 'ton', 'gunny', 'ತುಂಬಾ', 'ಕಿಲೋ'],
+                tamil: ['mothama', 'niraya', 'kilo', 'மொத்தமா', 'நிறைய', 'கிலோ']
+            },
+            price_inquiry: {
+                english: ['price', 'cost', 'rate', 'charge', 'costs'],
+                hindi: ['daam', 'kimat', 'rate', 'bhav', 'kitna', 'kitne', 'kitni', 'दाम', 'कीमत', 'भाव', 'रेट', 'कितना', 'कितने', 'कितनी'],
+                kannada: ['bele', 'rate', 'dara', 'eshtu', 'ಬೆಲೆ', 'ದರ', 'ಎಷ್ಟು', 'ರೇಟ್'],
+                tamil: ['vilai', 'evvalavu', 'evlo', 'rate', 'விலை', 'எவ்வளவு', 'எவ்ளோ', 'ரேட்']
+            },
+            quality_inquiry: {
+                english: ['quality', 'fresh', 'variety', 'grade', 'organic', 'ripe', 'which', 'type'],
+                hindi: ['quality', 'taaza', 'taza', 'kism', 'kaunsa', 'kaunsi', 'badhiya', 'variety', 'ताज़ा', 'ताजा', 'किस्म', 'कौनसा', 'बढ़िया'],
+                kannada: ['quality', 'olleya', 'hosa', 'yavudu', 'thara', 'chennagide', 'variety', 'ಒಳ್ಳೆಯ', 'ಹೊಸ', 'ಯಾವುದು'],
+                tamil: ['quality', 'nalla', 'pudhu', 'endha', 'tharam', 'நல்ல', 'புது', 'எந்த', 'தரம்']
+            },
+            complaint: {
+                english: ['rotten', 'stale', 'spoiled', 'spoilt', 'bad', 'damaged', 'complaint', 'worst'],
+                hindi: ['sada', 'sadi', 'sade', 'kharab', 'baasi', 'bekar', 'shikayat', 'ganda', 'सड़ा', 'सड़ी', 'खराब', 'ख़राब', 'बासी', 'बेकार', 'शिकायत'],
+                kannada: ['kolethu', 'ketta', 'haalagide', 'hale', 'dooru', 'kettide', 'ಕೊಳೆತ', 'ಕೆಟ್ಟ', 'ಹಾಳಾಗಿದೆ'],
+                tamil: ['kettu', 'azhugiya', 'mosam', 'கெட்டு', 'அழுகிய', 'மோசம்']
+            },
+            return_exchange: {
+                english: ['return', 'exchange', 'refund', 'replace', 'replacement', 'change'],
+                hindi: ['wapas', 'vapas', 'badal', 'badlo', 'lautao', 'badli', 'वापस', 'बदल', 'बदलो', 'लौटाओ'],
+                kannada: ['vapas', 'badalisi', 'hindirugisi', 'bere', 'kottubidi', 'ವಾಪಸ್', 'ಬದಲಿಸಿ', 'ಹಿಂದಿರುಗಿಸಿ'],
+                tamil: ['thiruppi', 'maathi', 'திருப்பி', 'மாத்தி']
+            },
+            casual_inquiry: {
+                english: ['what', 'how', 'tell', 'know', 'information', 'help', 'available'],
+                hindi: ['kya', 'kaise', 'batao', 'pata', 'jaankari', 'madad', 'milta', 'क्या', 'कैसे', 'बताओ', 'पता', 'जानकारी', 'मदद'],
+                kannada: ['yenu', 'hege', 'heli', 'gottide', 'mahiti', 'sahaya', 'sigutta', 'ಏನು', 'ಹೇಗೆ', 'ಹೇಳಿ', 'ಸಹಾಯ'],
+                tamil: ['enna', 'eppadi', 'sollunga', 'என்ன', 'எப்படி', 'சொல்லுங்க']
+            }
+        };
+
+        // Narrower intents win ties: a discount request usually mentions the price as well
+        this.intentPriority = ['complaint', 'return_exchange', 'bargaining', 'bulk_purchase', 'quality_inquiry', 'price_inquiry', 'casual_inquiry'];
+        this.productIntents = ['bargaining', 'bulk_purchase', 'price_inquiry', 'quality_inquiry'];
+        this.billableIntents = ['bulk_purchase', 'price_inquiry'];
+        this.minConfidence = 0.1;
+
+        // "not fresh" / "taaza nahi" / "hosadu illa" turn a quality word into a complaint
+        this.negationWords = ['not', 'no', 'nahi', 'nahin', 'na', 'illa', 'alla'];
+
+        // Function words that identify a language in code-mixed speech without signalling an intent
+        this.languageMarkers = {
+            english: ['the', 'is', 'are', 'for', 'of', 'want', 'wants', 'need', 'needs', 'give', 'please', 'much', 'this', 'today', 'customer', 'someone'],
+            hindi: ['hai', 'hain', 'mein', 'ka', 'ki', 'ke', 'chahiye', 'kitna', 'kitne', 'aap', 'dedo', 'nahi', 'bhai', 'aur', 'se', 'ko', 'bhi', 'wala', 'sakta', 'hun', 'aaj',
+                'है', 'हैं', 'में', 'का', 'की', 'के', 'चाहिए', 'आप', 'नहीं', 'भाई', 'और', 'से', 'को', 'भी', 'वाला', 'आज'],
+            kannada: ['beku', 'eshtu', 'idu', 'adu', 'ge', 'alli', 'nalli', 'illa', 'ide', 'kodi', 'swalpa', 'nimma', 'nanna', 'beda', 'mattu', 'ivattu',
+                'ಬೇಕು', 'ಇದು', 'ಅದು', 'ಇಲ್ಲ', 'ಇದೆ', 'ಕೊಡಿ', 'ಸ್ವಲ್ಪ', 'ಬೇಡ', 'ಮತ್ತು', 'ಇವತ್ತು'],
+            tamil: ['irukku', 'venum', 'vendaam', 'illai', 'konjam', 'kudunga', 'inniki',
+                'இருக்கு', 'வேணும்', 'வேண்டாம்', 'இல்லை', 'கொஞ்சம்', 'கொடுங்க', 'இன்னிக்கு']
+        };
+
+        // A transcript in a native script names its language outright; Latin text falls back to lexicon hits
+        this.scriptLanguages = [
+            { language: 'hindi', start: 0x0900, end: 0x097F },
+            { language: 'bengali', start: 0x0980, end: 0x09FF },
+            { language: 'tamil', start: 0x0B80, end: 0x0BFF },
+            { language: 'kannada', start: 0x0C80, end: 0x0CFF }
+        ];
+
+        // Everyday words that sound close to a product alias ("good" vs "guddu") but never name one
+        this.commonWords = ['good', 'best', 'fresh', 'today', 'the', 'and', 'for', 'with', 'have', 'want',
+            'need', 'give', 'take', 'much', 'many', 'sale', 'sell', 'acha', 'accha', 'theek', 'abhi', 'aaj'];
+
+        // Pronouns and postpositions start most sentences; "main"/"maine" sit one edit away from "mavina"
+        this.functionWords = [
+            'i', 'me', 'my', 'mine', 'we', 'our', 'you', 'your', 'he', 'she', 'they', 'it', 'his', 'her', 'its', 'them',
+            'main', 'maine', 'mein', 'mera', 'meri', 'mere', 'mujhe', 'hum', 'hamara', 'tum', 'tumhara', 'apna', 'apni',
+            'yeh', 'ye', 'woh', 'wo', 'iska', 'uska', 'isko', 'usko', 'hoon', 'tha', 'thi', 'the', 'liya', 'diya', 'kiya',
+            'naanu', 'nanage', 'nanna', 'neevu', 'nimage', 'avanu', 'avalu', 'avaru', 'yaaru', 'illi',
+            'naan', 'enakku', 'neenga', 'avan', 'aval', 'idhu', 'adhu', 'inga', 'anga'
+        ];
+
+        // Spoken names for grades that many products share; product-specific names live in prices.json qualityTiers
+        this.qualityWords = {
+            premium: ['first class', 'badhiya', 'best quality', 'a grade'],
+            standard: ['normal', 'regular', 'saadharan'],
+            // "sasta"/"cheap" ask for a lower price far more often than for a grade, so they stay bargaining words
+            economy: ['ghatiya', 'halka'],
+            large: ['bada', 'badi', 'bade', 'dodda', 'periya'],
+            medium: ['madhyam', 'beech'],
+            small: ['chhota', 'chota', 'chhote', 'sanna', 'chinna'],
+            local: ['desi', 'nati', 'naati', 'nattu'],
+            country: ['desi', 'nati', 'naati', 'nattu'],
+            organic: ['jaivik', 'saavayava'],
+            fresh: ['taaza', 'taza', 'taja'],
+            ripe: ['pakka', 'pakke', 'pazham'],
+            raw: ['kachcha', 'kacha', 'kaayi'],
+            cooking: ['pakane', 'adige']
+        };
+
+        // The vendor describing today's market ("aaj bheed hai", "aaj baarish se maal kam")
+        this.conditionPatterns = {
+            highDemand: ['rush', 'crowd', 'busy', 'bheed', 'bheer', 'demand zyada', 'demand jaasti', 'grahak zyada'],
+            lowDemand: ['slow', 'manda', 'dhanda kam', 'grahak nahi', 'grahak kam', 'vyapara kammi', 'customer illa'],
+            festivalSeason: ['festival', 'tyohar', 'tyohaar', 'habba', 'pandigai', 'diwali', 'deepavali', 'holi', 'eid', 'pongal', 'dussehra', 'navratri', 'onam'],
+            weatherImpact: ['rain', 'baarish', 'barish', 'barsaat', 'toofan', 'storm', 'flood', 'baadh', 'mazhai', 'heatwave']
+        };
+        // A condition word only declares today's market next to "today"; "garmi mein aam" or "holi ke liye" is a passing mention
+        this.todayMarkers = ['aaj', 'today', 'ivattu', 'inniki', 'indru', 'आज', 'ಇವತ್ತು', 'இன்னிக்கு', 'இன்று'];
+
+        this.buildProductIndex();
+        this.productMatcher.setStopWords([
+            ...Object.values(this.intentPatterns).flatMap(languages => Object.values(languages).flat()),
+            ...Object.values(this.languageMarkers).flat(),
+            ...Object.values(this.conditionPatterns).flat(),
+            ...this.entityExtractor.costMarkers,
+            ...this.entityExtractor.costPrefixes,
+            ...this.commonWords,
+            ...this.functionWords
+        ]);
+    }
+
+    async classifyIntent(text, language = 'english') {
+        const words = this.tokenizeWords(text);
+        const languages = this.getLexiconLanguages();
+        const entities = this.entityExtractor.extract(text);
+        
+        const scores = this.scoreIntents(words, languages, entities);
+        const maxScore = Math.max(...Object.values(scores));
+        const detectedIntent = maxScore >= this.minConfidence
+            ? this.intentPriority.find(type => scores[type] === maxScore)
+            : 'unclear';
+        const languageAnalysis = this.detectLanguages(words, language);
+        
+        const productCandidates = this.rankProducts(words);
+        const quality = this.detectQuality(words, this.extractProduct(words, language));
+        const product = quality.product;
+        const category = this.determineCategory(product, language);
+        const quantity = entities.quantities.find(entry => entry.baseUnit) || entities.quantities[0] || null;
+        const offeredPrice = entities.prices[0] || null;
+        const costPrice = entities.costPrices[0] || null;
+        // Only an order or a price question is billed; a cost or an offer names one deal, not a shopping list
+        const billable = this.billableIntents.includes(detectedIntent) && !offeredPrice && !costPrice;
+        const lineItems = billable ? this.extractLineItems(text, entities) : [];
+        
+        return {
+            type: detectedIntent,
+            confidence: maxScore,
+            scores: scores,
+            keywords: detectedIntent === 'unclear' ? [] : this.extractMatchingKeywords(words, detectedIntent, languages),
+            product: product,
+            category: category,
+            quality: quality.tier,
+            marketConditions: this.detectMarketConditions(words),
+            productCandidates: productCandidates,
+            lineItems,
+            clarification: lineItems.length > 1 ? null : this.determineClarification(detectedIntent, scores, product, productCandidates),
+            quantity: quantity ? quantity.baseValue : null,
+            unit: quantity ? quantity.baseUnit : null,
+            offeredPrice: offeredPrice ? { amount: offeredPrice.amount, perUnit: offeredPrice.perUnit } : null,
+            costPrice: costPrice ? { amount: costPrice.amount, perUnit: costPrice.perUnit } : null,
+            entities: entities,
+            originalText: text,
+            language: language,
+            dominantLanguage: languageAnalysis.dominant,
+            detectedLanguages: languageAnalysis.detected,
+            languageShares: languageAnalysis.shares,
+            codeMixed: languageAnalysis.detected.length > 1,
+            identifiedLanguage: this.identifyLanguage(text, language),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    scoreIntents(words, languages, entities) {
+        const scores = {};
+        this.intentPriority.forEach(type => {
+            scores[type] = this.calculateIntentScore(words, type, languages);
+        });
+        if (words.length === 0) {
+            return scores;
+        }
+
+        const negatedQuality = words.filter((word, index) =>
+            this.matchesAnyKeyword(word, 'quality_inquiry', languages) &&
+            [words[index - 1], words[index + 1]].some(neighbour => this.negationWords.includes(neighbour))
+        ).length;
+        scores.quality_inquiry -= negatedQuality / words.length;
+        scores.complaint += negatedQuality / words.length;
+
+        // A quoted rupee amount is the customer naming their price
+        if (entities && entities.prices.length > 0) {
+            scores.bargaining = Math.min(1, scores.bargaining + 1 / words.length);
+        }
+
+        return scores;
+    }
+
+    determineClarification(intentType, scores, product, productCandidates) {
+        if (intentType === 'unclear') {
+            const options = this.intentPriority.filter(type => scores[type] > 0);
+            return { reason: 'intent', options: options.length > 0 ? options : ['price_inquiry', 'bargaining', 'bulk_purchase'] };
+        }
+        if (this.productIntents.includes(intentType) && product === 'general item') {
+            return { reason: 'product', options: productCandidates.map(candidate => candidate.product) };
+        }
+        return null;
+    }
+
+    tokenizeWords(text) {
+        return String(text || '')
+            .normalize('NFC')
+            .toLowerCase()
+            .split(/\s+/)
+            .map(word => word.replace(/^[^\p{L}\p{M}\p{N}₹]+|[^\p{L}\p{M}\p{N}]+$/gu, ''))
+            .filter(word => word.length > 0);
+    }
+
+    getLexiconLanguages() {
+        const languages = new Set();
+        Object.values(this.intentPatterns).forEach(patterns => {
+            Object.keys(patterns).forEach(language => languages.add(language));
+        });
+        return [...languages];
+    }
+
+    matchesKeyword(word, keyword) {
+        // Prefixes cover inflections ("kilos", "offering") without letting short fragments match everything
+        return word === keyword || (keyword.length >= 4 && word.startsWith(keyword));
+    }
+
+    calculateIntentScore(words, intentType, languages) {
+        const patterns = this.intentPatterns[intentType];
+        const languageList = Array.isArray(languages) ? languages : [languages];
+        if (!patterns || words.length === 0) {
+            return 0;
+        }
+        
+        const matches = words.filter(word => this.matchesAnyKeyword(word, intentType, languageList)).length;
+        return matches / words.length;
+    }
+
+    matchesAnyKeyword(word, intentType, languages) {
+        const patterns = this.intentPatterns[intentType] || {};
+        return languages.some(language => (patterns[language] || []).some(keyword => this.matchesKeyword(word, keyword)));
+    }
+
+    detectLanguages(words, fallbackLanguage) {
+        const totals = {};
+
+        words.forEach(word => {
+            const matched = this.getLexiconLanguages().filter(language => {
+                const lexicon = [
+                    ...Object.values(this.intentPatterns).flatMap(patterns => patterns[language] || []),
+                    ...(this.languageMarkers[language] || [])
+                ];
+                return lexicon.some(keyword => this.matchesKeyword(word, keyword));
+            });
+            // Shared words like "rate" or "kilo" count partially towards every language that uses them
+            matched.forEach(language => {
+                totals[language] = (totals[language] || 0) + 1 / matched.length;
+            });
+        });
+
+        const total = Object.values(totals).reduce((sum, value) => sum + value, 0);
+        if (total === 0) {
+            return { dominant: fallbackLanguage, detected: [], shares: {} };
+        }
+
+        const shares = {};
+        Object.entries(totals).forEach(([language, value]) => {
+            shares[language] = Math.round((value / total) * 100) / 100;
+        });
+        // A tie keeps the language already in use rather than whichever lexicon happens to be listed first
+        const detected = Object.keys(shares)
+            .filter(language => shares[language] >= 0.15)
+            .sort((a, b) => shares[b] - shares[a] || (b === fallbackLanguage) - (a === fallbackLanguage));
+
+        return { dominant: detected[0] || fallbackLanguage, detected, shares };
+    }
+
+    identifyLanguage(text, fallbackLanguage = 'english') {
+        // Words, not letters, are counted: short native words ("है") must not lose to one Latin loanword
+        const scriptWords = {};
+        let words = 0;
+        this.tokenizeWords(text).forEach(word => {
+            const letters = [...word].filter(char => /\p{L}/u.test(char));
+            if (letters.length === 0) return;
+            words++;
+            const script = this.scriptLanguages.find(range =>
+                letters.filter(char => char.codePointAt(0) >= range.start && char.codePointAt(0) <= range.end).length * 2 > letters.length);
+            if (script) {
+                scriptWords[script.language] = (scriptWords[script.language] || 0) + 1;
+            }
+        });
+
+        // Latin words inside native-script text are loanwords ("rate", "kilo"), so the script decides
+        const [scriptLanguage, count] = Object.entries(scriptWords).sort((a, b) => b[1] - a[1])[0] || [];
+        if (scriptLanguage && count / words >= 0.5) {
+            return { language: scriptLanguage, confidence: Math.round((count / words) * 100) / 100, source: 'script' };
+        }
+
+        const analysis = this.detectLanguages(this.tokenizeWords(text), fallbackLanguage);
+        if (analysis.detected.length > 0) {
+            return { language: analysis.dominant, confidence: analysis.shares[analysis.dominant], source: 'lexicon' };
+        }
+        return { language: fallbackLanguage, confidence: 0, source: 'fallback' };
+    }
+
+    setCatalog(catalog) {
+        this.catalog = catalog;
+        this.buildProductIndex();
+    }
+
+    buildProductIndex() {
+        const entries = [];
+        const seen = new Set();
+        const addEntry = (alias, product, category) => {
+            const normalizedAlias = this.normalizeProductName(alias);
+            if (normalizedAlias && !seen.has(normalizedAlias)) {
+                seen.add(normalizedAlias);
+                entries.push({ alias: normalizedAlias, product, category });
+            }
+        };
+
+        if (this.catalog) {
+            Object.entries(this.catalog.products).forEach(([key, product]) => {
+                [key, ...this.catalog.getCommonNames(key)].forEach(alias => addEntry(alias, key, product.category));
+            });
+        }
+
+        this.productEntries = entries;
+        this.productMatcher.setEntries(entries);
+        this.buildQualityIndex();
+    }
+
+    buildQualityIndex() {
+        const entries = [];
+        if (this.catalog) {
+            Object.keys(this.catalog.products).forEach(product => {
+                this.catalog.getQualityTiers(product).forEach(({ tier, aliases }) => {
+                    const phrases = [
+                        ...[tier, ...aliases].map(phrase => ({ phrase, shared: false })),
+                        ...(this.qualityWords[tier] || []).map(phrase => ({ phrase, shared: true }))
+                    ];
+                    phrases.forEach(({ phrase, shared }) => {
+                        entries.push({ product, tier, shared, tokens: this.tokenizeWords(phrase) });
+                    });
+                });
+            });
+        }
+
+        // Longest phrase first so "double toned" wins over "toned"
+        this.qualityEntries = entries.sort((a, b) => b.tokens.length - a.tokens.length);
+    }
+
+    detectMarketConditions(words) {
+        if (!words.some(word => this.todayMarkers.includes(word))) {
+            return [];
+        }
+        return Object.keys(this.conditionPatterns).filter(condition =>
+            this.conditionPatterns[condition].some(phrase => this.containsPhrase(words, this.tokenizeWords(phrase)))
+        );
+    }
+
+    containsPhrase(words, tokens) {
+        return words.some((word, index) => tokens.every((token, offset) => words[index + offset] === token));
+    }
+
+    // Start index of every occurrence of the phrase
+    findPhrase(words, tokens) {
+        return words
+            .map((word, index) => (tokens.every((token, offset) => words[index + offset] === token) ? index : -1))
+            .filter(index => index >= 0);
+    }
+
+    detectQuality(words, product) {
+        const matches = this.qualityEntries.filter(entry =>
+            (product === 'general item' || entry.product === product) && this.containsPhrase(words, entry.tokens)
+        );
+        if (product !== 'general item') {
+            // Generic grade words double as order talk ("bada order", "beech mein"), so they only count
+            // right next to the product; catalog names like "basmati" count anywhere
+            const productIndices = words
+                .map((word, index) => {
+                    const [best] = this.rankProducts([word]);
+                    return best && best.product === product && best.score >= this.productMatcher.acceptScore ? index : -1;
+                })
+                .filter(index => index >= 0);
+            const graded = matches.find(entry => !this.isGenericGrade(entry) ||
+                this.findPhrase(words, entry.tokens).some(index =>
+                    productIndices.includes(index - 1) || productIndices.includes(index + entry.tokens.length)));
+            return { product, tier: graded ? graded.tier : null };
+        }
+
+        // Only a grade name unique to one product identifies it ("alphonso" means mangoes; "desi" or "large" do not)
+        const distinctive = matches.filter(entry => !this.isGenericGrade(entry));
+        const products = new Set(distinctive.map(entry => entry.product));
+        if (products.size === 1) {
+            return { product: distinctive[0].product, tier: distinctive[0].tier };
+        }
+        return { product, tier: null };
+    }
+
+    isGenericGrade(entry) {
+        return entry.shared || Boolean(this.qualityWords[entry.tier]);
+    }
+
+    normalizeProductName(name) {
+        return name.toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+            .split(/\s+/)
+            .filter(word => word.length > 0)
+            .map(word => this.singularize(word))
+            .join(' ');
+    }
+
+    singularize(word) {
+        if (word.length > 4 && word.endsWith('oes')) return word.slice(0, -2);
+        if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+        return word;
+    }
+
+    rankProducts(words) {
+        return this.productMatcher.rank(words.map(word => this.normalizeProductName(word)));
+    }
+
+    extractProduct(words, language) {
+        const [best] = this.rankProducts(words);
+        return best && best.score >= this.productMatcher.acceptScore ? best.product : 'general item';
+    }
+
+    // "2 kilo aloo, 1 kilo pyaaz aur 6 ande" becomes one line per product; a single product is not a list
+    extractLineItems(text, entities) {
+        const tokens = this.entityExtractor.tokenize(text);
+        const inQuantity = index => entities.quantities.some(quantity => index >= quantity.start && index < quantity.end);
+        const mentions = [];
+        tokens.forEach((token, index) => {
+            if (inQuantity(index)) return;
+            const [best] = this.rankProducts([token]);
+            if (best && best.score >= this.productMatcher.acceptScore && !mentions.some(mention => mention.product === best.product)) {
+                mentions.push({ product: best.product, category: best.category, index });
+            }
+        });
+        if (mentions.length < 2) return [];
+
+        // Whichever comes first, amount or product, sets the order for the whole list
+        const quantityFirst = entities.quantities.length > 0 && entities.quantities[0].start < mentions[0].index;
+        return mentions.map((mention, i) => {
+            const from = quantityFirst ? (i > 0 ? mentions[i - 1].index : -1) : mention.index;
+            const to = quantityFirst ? mention.index : (i + 1 < mentions.length ? mentions[i + 1].index : tokens.length);
+            const quantity = entities.quantities.find(entry => entry.start > from && entry.start < to);
+            return {
+                product: mention.product,
+                category: mention.category,
+                quantity: quantity ? quantity.baseValue : null,
+                unit: quantity ? quantity.baseUnit : null
+            };
+        });
+    }
+
+    determineCategory(product, language) {
+        const entry = this.productEntries.find(candidate => candidate.product === product);
+        return entry ? entry.category : 'general';
+    }
+
+    extractMatchingKeywords(words, intentType, languages) {
+        const languageList = Array.isArray(languages) ? languages : [languages];
+        return words.filter(word => this.matchesAnyKeyword(word, intentType, languageList));
+    }
+}
+
+class HypothesisRanker {
+    constructor(intentClassifier) {
+        this.intentClassifier = intentClassifier;
+        // Domain fit outweighs the recognizer's own confidence, which only breaks ties
+        this.weights = { product: 1, intent: 1, recognizer: 0.25 };
+    }
+
+    async rank(alternatives, language) {
+        const ranked = [];
+        for (const alternative of alternatives) {
+            const intent = await this.intentClassifier.classifyIntent(alternative.transcript, language);
+            ranked.push({ ...alternative, intent, score: this.score(intent, alternative.confidence) });
+        }
+        // Stable sort keeps the recognizer's order between equally good hypotheses
+        return ranked.sort((a, b) => b.score - a.score);
+    }
+
+    score(intent, confidence) {
+        const candidate = intent.productCandidates.find(entry => entry.product === intent.product);
+        // A product inferred from a grade name ("alphonso") has no spelling score of its own
+        const productScore = intent.product === 'general item' ? 0
+            : candidate ? candidate.score : this.intentClassifier.productMatcher.acceptScore;
+        const intentScore = intent.type !== 'unclear' ? intent.confidence : 0;
+        return Math.round((
+            productScore * this.weights.product +
+            intentScore * this.weights.intent +
+            (confidence || 0) * this.weights.recognizer
+        ) * 1000) / 1000;
+    }
+}
+
+class TranslationEngine {
+    constructor() {
+        this.entityExtractor = new EntityExtractor();
+        this.productMatcher = new ProductMatcher();
+        this.languages = ['english', 'hindi', 'kannada', 'tamil'];
+        this.wordOrder = { english: 'svo', hindi: 'sov', kannada: 'sov', tamil: 'sov' };
+
+        // The first form is what gets spoken in that language; the rest are accepted spellings
+        this.tradeTerms = {
+            greeting: {
+                category: 'courtesy',
+                english: ['hello', 'hi', 'good morning'],
+                hindi: ['नमस्ते', 'namaste', 'namaskar', 'नमस्कार'],
+                kannada: ['ನಮಸ್ಕಾರ', 'namaskara', 'namaskaara'],
+                tamil: ['வணக்கம்', 'vanakkam']
+            },
+            address: {
+                category: 'courtesy',
+                english: ['sir', 'madam', 'brother'],
+                hindi: ['भैया', 'bhaiya', 'bhai', 'bhaisaab', 'ji', 'भाई'],
+                kannada: ['ಅಣ್ಣ', 'anna', 'saar', 'amma', 'ಸಾರ್'],
+                tamil: ['அண்ணா', 'annaa', 'sir', 'akka']
+            },
+            thanks: {
+                category: 'courtesy',
+                english: ['thank you', 'thanks'],
+                hindi: ['धन्यवाद', 'dhanyavad', 'dhanyavaad', 'shukriya', 'शुक्रिया'],
+                kannada: ['ಧನ್ಯವಾದ', 'dhanyavaada', 'dhanyavada'],
+                tamil: ['நன்றி', 'nandri', 'nanri']
+            },
+            please: {
+                category: 'courtesy',
+                english: ['please'],
+                hindi: ['कृपया', 'kripya', 'kripaya'],
+                kannada: ['ದಯವಿಟ್ಟು', 'dayavittu'],
+                tamil: ['தயவுசெய்து', 'thayavuseidhu']
+            },
+            yes: {
+                category: 'courtesy',
+                english: ['yes', 'yeah'],
+                hindi: ['हाँ', 'haan', 'han', 'ji haan', 'हां'],
+                kannada: ['ಹೌದು', 'houdu', 'haudu'],
+                tamil: ['ஆமா', 'aama', 'aamam']
+            },
+            no: {
+                category: 'courtesy',
+                english: ['no'],
+                hindi: ['नहीं', 'nahi', 'nahin', 'नही'],
+                kannada: ['ಇಲ್ಲ', 'illa'],
+                tamil: ['இல்லை', 'illai']
+            },
+            me: {
+                category: 'pricing',
+                // Folded into "i want" when speaking English
+                impliedBy: 'want',
+                subject: true,
+                english: ['i', 'me'],
+                hindi: ['मुझे', 'mujhe', 'mujhko', 'main', 'मैं'],
+                kannada: ['ನನಗೆ', 'nanage', 'nange'],
+                tamil: ['எனக்கு', 'enakku']
+            },
+            customer: {
+                category: 'negotiation',
+                subject: true,
+                english: ['customer', 'the customer'],
+                hindi: ['ग्राहक', 'grahak', 'customer'],
+                kannada: ['ಗ್ರಾಹಕ', 'grahaka', 'giraki'],
+                tamil: ['வாடிக்கையாளர்', 'vaadikkaiyaalar']
+            },
+            want: {
+                category: 'pricing',
+                verbFinal: true,
+                english: ['i want', 'i need', 'give me', 'want', 'need'],
+                hindi: ['चाहिए', 'chahiye', 'chaahiye', 'de do', 'dedo', 'dijiye', 'दे दो', 'दीजिए'],
+                kannada: ['ಬೇಕು', 'beku', 'kodi', 'ಕೊಡಿ'],
+                tamil: ['வேண்டும்', 'venum', 'vendum', 'kudunga', 'கொடுங்க']
+            },
+            ask_price: {
+                category: 'pricing',
+                verbFinal: true,
+                withProduct: { english: 'what is the price of' },
+                english: ['what is the price', 'what is the price of', 'what is the rate', 'what is the rate of', 'how much is it', 'how much is', 'how much', 'price'],
+                hindi: ['क्या दाम है', 'kya daam hai', 'kya dam hai', 'kitne ka hai', 'kitna hai', 'kya bhav hai', 'kya rate hai',
+                    'price kya hai', 'rate kya hai', 'daam kya hai', 'kitne ka', 'kitne ki', 'क्या भाव है', 'कितने का है', 'कितना है', 'दाम'],
+                kannada: ['ಬೆಲೆ ಎಷ್ಟು', 'bele eshtu', 'rate eshtu', 'eshtu', 'ಎಷ್ಟು', 'ಬೆಲೆ'],
+                tamil: ['விலை என்ன', 'vilai enna', 'evvalavu', 'enna vilai', 'எவ்வளவு', 'விலை']
+            },
+            too_expensive: {
+                category: 'negotiation',
+                english: ['too expensive', 'very expensive', 'too costly', 'too much', 'expensive', 'costly'],
+                hindi: ['बहुत महंगा है', 'bahut mehnga hai', 'bahut mehnga', 'bahut mehenga', 'bahut zyada hai', 'mehnga hai', 'mehnga', 'बहुत महंगा', 'महंगा'],
+                kannada: ['ತುಂಬಾ ಜಾಸ್ತಿ', 'thumba jaasti', 'thumba jasti', 'thumba dubari', 'ತುಂಬಾ ದುಬಾರಿ'],
+                tamil: ['ரொம்ப அதிகம்', 'romba adhigam', 'romba jaasti', 'romba vilai']
+            },
+            reduce_price: {
+                category: 'negotiation',
+                english: ['please reduce the price', 'reduce the price', 'reduce a little', 'make it less', 'give a discount', 'discount please'],
+                hindi: ['थोड़ा कम कीजिए', 'thoda kam karo', 'thoda kam kijiye', 'thoda kam kar do', 'kam kar do', 'kam karo', 'kam kijiye', 'thoda kam', 'थोड़ा कम करो'],
+                kannada: ['ಸ್ವಲ್ಪ ಕಡಿಮೆ ಮಾಡಿ', 'swalpa kammi maadi', 'swalpa kadime maadi', 'kammi maadi', 'swalpa kammi', 'ಸ್ವಲ್ಪ ಕಮ್ಮಿ ಮಾಡಿ'],
+                tamil: ['கொஞ்சம் குறைச்சு கொடுங்க', 'konjam korachu kudunga', 'korachu kudunga', 'konjam kammi']
+            },
+            final_price: {
+                category: 'negotiation',
+                english: ['final price', 'last price', 'best price'],
+                hindi: ['आखिरी दाम', 'aakhri daam', 'akhri daam', 'last price', 'final rate'],
+                kannada: ['ಕೊನೆಯ ಬೆಲೆ', 'koneya bele', 'last rate'],
+                tamil: ['கடைசி விலை', 'kadaisi vilai']
+            },
+            no_less: {
+                category: 'negotiation',
+                english: ['cannot go lower', 'can not go lower', 'no less', 'cannot reduce'],
+                hindi: ['इससे कम नहीं होगा', 'isse kam nahi hoga', 'kam nahi hoga', 'isse kam nahi', 'kam nahi'],
+                kannada: ['ಇದಕ್ಕಿಂತ ಕಡಿಮೆ ಆಗಲ್ಲ', 'idakkinta kammi aagalla', 'kammi aagalla', 'kadime aagalla'],
+                tamil: ['இதுக்கு மேல குறைக்க முடியாது', 'kuraikka mudiyathu', 'korakka mudiyadhu']
+            },
+            good_price: {
+                category: 'negotiation',
+                english: ['good price', 'fair price'],
+                hindi: ['अच्छा दाम', 'accha daam', 'achha daam', 'sahi daam', 'sahi rate'],
+                kannada: ['ಒಳ್ಳೆಯ ಬೆಲೆ', 'olleya bele', 'sari bele'],
+                tamil: ['நல்ல விலை', 'nalla vilai']
+            },
+            agreed: {
+                category: 'negotiation',
+                english: ['okay, deal', 'okay deal', 'ok deal', 'deal', 'agreed', 'done', 'okay', 'ok'],
+                hindi: ['ठीक है, पक्का', 'theek hai', 'thik hai', 'chalo theek hai', 'pakka', 'ठीक है'],
+                kannada: ['ಸರಿ, ಆಯ್ತು', 'sari aaytu', 'aaytu', 'sari', 'ಸರಿ'],
+                tamil: ['சரி, முடிச்சுக்கலாம்', 'seri', 'sari', 'சரி']
+            },
+            offer: {
+                category: 'negotiation',
+                english: ['offer', 'offering', 'offers', 'offered'],
+                hindi: ['ऑफ़र', 'offer', 'bol raha hai', 'bol rahe hai', 'bola'],
+                kannada: ['ಆಫರ್', 'heltidaare', 'helidru'],
+                tamil: ['ஆஃபர்', 'solraanga']
+            },
+            discount: {
+                category: 'negotiation',
+                english: ['discount'],
+                hindi: ['छूट', 'chhoot', 'chhut'],
+                kannada: ['ರಿಯಾಯಿತಿ', 'riyayiti'],
+                tamil: ['தள்ளுபடி', 'thallupadi']
+            },
+            less: {
+                category: 'negotiation',
+                english: ['less', 'lower', 'cheaper'],
+                hindi: ['कम', 'kam', 'kamti', 'sasta'],
+                kannada: ['ಕಡಿಮೆ', 'kammi', 'kadime', 'ಕಮ್ಮಿ'],
+                tamil: ['குறைவு', 'korachu', 'kuraivu']
+            },
+            more: {
+                category: 'negotiation',
+                english: ['more'],
+                hindi: ['ज़्यादा', 'zyada', 'jyada', 'ज्यादा'],
+                kannada: ['ಜಾಸ್ತಿ', 'jaasti', 'jasti'],
+                tamil: ['அதிகம்', 'adhigam']
+            },
+            bulk: {
+                category: 'pricing',
+                english: ['in bulk', 'wholesale', 'bulk'],
+                hindi: ['थोक में', 'thok mein', 'thok me', 'thok', 'थोक'],
+                kannada: ['ಸಗಟು', 'sagatu', 'holesale'],
+                tamil: ['மொத்தமாக', 'mothama', 'mothamaaga']
+            },
+            total: {
+                category: 'pricing',
+                english: ['total', 'altogether'],
+                hindi: ['कुल', 'kul', 'sab milake'],
+                kannada: ['ಒಟ್ಟು', 'ottu'],
+                tamil: ['மொத்தம்', 'motham']
+            },
+            for: {
+                category: 'pricing',
+                english: ['for'],
+                hindi: ['के लिए', 'ke liye', 'ke liya'],
+                kannada: ['ಕ್ಕಾಗಿ', 'kkagi'],
+                tamil: ['க்காக', 'kkaga']
+            },
+            and: {
+                category: 'pricing',
+                english: ['and'],
+                hindi: ['और', 'aur'],
+                kannada: ['ಮತ್ತು', 'mattu'],
+                tamil: ['மற்றும்', 'matrum']
+            },
+            today: {
+                category: 'pricing',
+                english: ['today'],
+                hindi: ['आज', 'aaj'],
+                kannada: ['ಇವತ್ತು', 'ivattu'],
+                tamil: ['இன்னைக்கு', 'innaikku']
+            },
+            fresh: {
+                category: 'quality',
+                english: ['fresh'],
+                hindi: ['ताज़ा', 'taaza', 'taza', 'ताजा'],
+                kannada: ['ತಾಜಾ', 'taaja', 'hosa'],
+                tamil: ['புதுசு', 'pudhusu', 'pudhu']
+            },
+            good_quality: {
+                category: 'quality',
+                english: ['good quality', 'best quality', 'good'],
+                hindi: ['बढ़िया माल', 'badhiya maal', 'badhiya', 'accha maal', 'achha maal', 'accha', 'achha'],
+                kannada: ['ಒಳ್ಳೆಯ ಗುಣಮಟ್ಟ', 'olleya quality', 'chennagide', 'olleya'],
+                tamil: ['நல்ல தரம்', 'nalla tharam', 'nalla quality', 'nalla']
+            },
+            spoiled: {
+                category: 'quality',
+                english: ['spoiled', 'rotten', 'stale'],
+                hindi: ['खराब', 'kharab', 'sada hua', 'sade hue', 'baasi'],
+                kannada: ['ಹಾಳಾಗಿದೆ', 'haalagide', 'kolethu'],
+                tamil: ['கெட்டுப்போச்சு', 'kettupochu']
+            }
+        };
+
+        // Filled from the catalog's commonNames once prices load; see setCatalog
+        this.products = {};
+
+        this.unitNames = {
+            kg: { english: 'kg', hindi: 'किलो', kannada: 'ಕಿಲೋ', tamil: 'கிலோ' },
+            g: { english: 'g', hindi: 'ग्राम', kannada: 'ಗ್ರಾಂ', tamil: 'கிராம்' },
+            quintal: { english: 'quintal', hindi: 'क्विंटल', kannada: 'ಕ್ವಿಂಟಾಲ್', tamil: 'குவிண்டால்' },
+            bori: { english: 'sack', hindi: 'बोरी', kannada: 'ಚೀಲ', tamil: 'மூட்டை' },
+            liter: { english: 'liter', hindi: 'लीटर', kannada: 'ಲೀಟರ್', tamil: 'லிட்டர்' },
+            ml: { english: 'ml', hindi: 'मिली', kannada: 'ಮಿಲಿ', tamil: 'மி.லி' },
+            dozen: { english: 'dozen', hindi: 'दर्जन', kannada: 'ಡಜನ್', tamil: 'டஜன்' },
+            piece: { english: 'piece', hindi: 'पीस', kannada: 'ಪೀಸ್', tamil: 'பீஸ்' }
+        };
+
+        this.priceTemplates = {
+            english: { plain: '₹{amount}', perUnit: '₹{amount} per {unit}', marked: 'for ₹{amount}' },
+            hindi: { plain: '₹{amount}', perUnit: '₹{amount} प्रति {unit}', marked: '₹{amount} में' },
+            kannada: { plain: '₹{amount}', perUnit: 'ಪ್ರತಿ {unit} ₹{amount}', marked: '₹{amount}ಗೆ' },
+            tamil: { plain: '₹{amount}', perUnit: 'ஒரு {unit} ₹{amount}', marked: '₹{amount}க்கு' }
+        };
+
+        // "for ₹200" / "₹200 mein" / "₹200ge" / "₹200ku" tie the price to the goods
+        this.priceMarkers = { before: ['for', 'at'], after: ['mein', 'me', 'में', 'ge', 'ಗೆ', 'ku', 'kku', 'க்கு'] };
+        this.leadingPerUnitMarkers = ['prati', 'प्रति', 'ಪ್ರತಿ', 'oru', 'ஒரு'];
+
+        // Grammatical glue with no standalone meaning in the other languages
+        this.fillerWords = ['the', 'a', 'an', 'is', 'are', 'it', 'of', 'this', 'that', 'hai', 'hain', 'ye', 'yeh', 'wo',
+            'ka', 'ki', 'ke', 'को', 'है', 'हैं', 'ये', 'idu', 'adu', 'ide', 'ಇದು', 'ಇದೆ', 'idhu', 'இது'];
+
+        this.untranslatedMarker = { open: '«', close: '»' };
+        this.buildLexicon();
+    }
+
+    buildLexicon() {
+        this.lexicon = [];
+        const addEntries = (kind, key, forms) => {
+            Object.entries(forms).forEach(([language, aliases]) => {
+                if (!this.languages.includes(language)) return;
+                aliases.forEach(alias => {
+                    const tokens = this.tokenize(alias);
+                    this.lexicon.push({ kind, key, language, tokens, keys: tokens.map(token => this.productMatcher.phoneticKey(token)) });
+                });
+            });
+        };
+
+        Object.entries(this.tradeTerms).forEach(([key, entry]) => addEntries('phrase', key, entry));
+        Object.entries(this.products).forEach(([key, entry]) => addEntries('product', key, entry));
+        this.lexicon.sort((a, b) => b.tokens.length - a.tokens.length);
+    }
+
+    // The catalog key doubles as the English name; other languages have only what commonNames lists for them
+    setCatalog(catalog) {
+        this.products = {};
+        Object.keys(catalog.products).forEach(key => {
+            this.products[key] = {};
+            this.languages.forEach(language => {
+                const names = catalog.getCommonNames(key, language);
+                this.products[key][language] = language === 'english' && !names.includes(key) ? [...names, key] : names;
+            });
+        });
+        this.buildLexicon();
+    }
+
+    tokenize(text) {
+        return this.entityExtractor.tokenize(String(text || '').replace(/[।॥?!,]/g, ' '));
+    }
+
+    async translate(text, fromLanguage, toLanguage, intent = null) {
+        return this.translateSegments(text, fromLanguage, toLanguage).text;
+    }
+
+    translateSegments(text, fromLanguage, toLanguage) {
+        const source = String(text || '');
+        if (fromLanguage === toLanguage || !source.trim()) {
+            return { text: source, spokenText: source, segments: [{ source, text: source, translated: true }], complete: true };
+        }
+        if (!this.languages.includes(fromLanguage) || !this.languages.includes(toLanguage)) {
+            return {
+                text: this.markUntranslated(source.trim()),
+                spokenText: source.trim(),
+                segments: [{ source, text: source, translated: false }],
+                complete: false
+            };
+        }
+
+        const chunks = this.reorderChunks(this.chunk(source, fromLanguage), fromLanguage, toLanguage);
+        const segments = this.renderChunks(chunks, toLanguage);
+        const question = /\?\s*$/.test(source) ? '?' : '';
+        const parts = segments.filter(segment => segment.text.length > 0);
+        const translatedText = parts
+            .map(segment => segment.translated ? segment.text : this.markUntranslated(segment.text))
+            .join(' ') + question;
+
+        return {
+            text: translatedText,
+            // Speech synthesis would read the markers out, so the spoken form keeps only the words
+            spokenText: parts.map(segment => segment.text).join(' ') + question,
+            segments,
+            complete: segments.every(segment => segment.translated)
+        };
+    }
+
+    chunk(text, fromLanguage) {
+        const tokens = this.tokenize(text);
+        const tokenKeys = tokens.map(token => this.productMatcher.phoneticKey(token));
+        const entities = this.entityExtractor.extract(tokens.join(' '));
+        const chunks = [];
+        let i = 0;
+
+        while (i < tokens.length) {
+            const leadingUnit = this.leadingPerUnitMarkers.includes(tokens[i]) && this.entityExtractor.lookupUnit(tokens[i + 1]);
+            const ratedPrice = leadingUnit && this.findEntityAt(entities, tokens, i + 2);
+            if (ratedPrice && ratedPrice.chunk.kind === 'price') {
+                chunks.push({ ...ratedPrice.chunk, perUnit: leadingUnit.name, source: tokens.slice(i, ratedPrice.end).join(' ') });
+                i = ratedPrice.end;
+                continue;
+            }
+
+            const entity = this.findEntityAt(entities, tokens, i);
+            if (entity) {
+                // "40 rupaye kilo" states the rate without a "per"
+                const trailingUnit = entity.chunk.kind === 'price' && !entity.chunk.perUnit && this.entityExtractor.lookupUnit(tokens[entity.end]);
+                if (trailingUnit) {
+                    entity.chunk.perUnit = trailingUnit.name;
+                    entity.end++;
+                }
+                chunks.push(entity.chunk);
+                i = entity.end;
+                continue;
+            }
+
+            const entry = this.matchLexicon(tokens, tokenKeys, i, fromLanguage);
+            if (entry) {
+                chunks.push({ kind: entry.kind, key: entry.key, source: tokens.slice(i, i + entry.tokens.length).join(' ') });
+                i += entry.tokens.length;
+                continue;
+            }
+
+            const token = tokens[i];
+            const numberValue = this.entityExtractor.lookupNumberWord(token);
+            const unit = this.entityExtractor.lookupUnit(token);
+            if (numberValue !== null) {
+                chunks.push({ kind: 'number', value: numberValue, source: token });
+            } else if (unit) {
+                chunks.push({ kind: 'unit', unit: unit.name, source: token });
+            } else if (this.fillerWords.includes(token)) {
+                chunks.push({ kind: 'filler', source: token });
+            } else {
+                const previous = chunks[chunks.length - 1];
+                if (previous && previous.kind === 'unknown') {
+                    previous.source += ' ' + token;
+                } else {
+                    chunks.push({ kind: 'unknown', source: token });
+                }
+            }
+            i++;
+        }
+
+        return this.attachPriceMarkers(chunks);
+    }
+
+    // Entities are found on the joined token string, so their text lines up with a run of tokens
+    findEntityAt(entities, tokens, index) {
+        const matches = (entryText) => {
+            const entryTokens = entryText.split(' ');
+            return entryTokens.every((token, offset) => tokens[index + offset] === token) ? index + entryTokens.length : null;
+        };
+
+        for (const price of [...entities.prices, ...entities.costPrices]) {
+            const end = matches(price.text);
+            if (end !== null) {
+                const perUnitToken = price.perUnit ? tokens[end - 1] : null;
+                const unit = perUnitToken ? this.entityExtractor.lookupUnit(perUnitToken) : null;
+                return { end, chunk: { kind: 'price', amount: price.amount, perUnit: unit ? unit.name : null, source: price.text } };
+            }
+        }
+        for (const quantity of entities.quantities) {
+            const end = matches(quantity.text);
+            if (end !== null) {
+                const kind = quantity.unit ? 'quantity' : 'number';
+                return { end, chunk: { kind, value: quantity.value, unit: quantity.unit, source: quantity.text } };
+            }
+        }
+        return null;
+    }
+
+    // Longest match wins; among equally long ones an exact spelling beats a sound-alike, then the speaker's language wins
+    matchLexicon(tokens, tokenKeys, index, fromLanguage) {
+        let best = null;
+        let bestRank = -1;
+        for (const entry of this.lexicon) {
+            if (best && entry.tokens.length < best.tokens.length) break;
+            if (!this.matchesAt(tokens, tokenKeys, index, entry)) continue;
+            const exact = entry.tokens.every((token, offset) => tokens[index + offset] === token);
+            const rank = (exact ? 2 : 0) + (entry.language === fromLanguage ? 1 : 0);
+            if (rank > bestRank) {
+                best = entry;
+                bestRank = rank;
+            }
+        }
+        return best;
+    }
+
+    matchesAt(tokens, tokenKeys, index, entry) {
+        return entry.tokens.every((token, offset) => {
+            const candidate = tokens[index + offset];
+            if (candidate === undefined) return false;
+            if (candidate === token) return true;
+            // Spelling drift ("pyaz", "kitnaa") matches on sound, but only for words long enough to be distinctive
+            return entry.keys[offset].length >= 3 && tokenKeys[index + offset] === entry.keys[offset];
+        });
+    }
+
+    attachPriceMarkers(chunks) {
+        const attached = [];
+        chunks.forEach((chunk, index) => {
+            const next = chunks[index + 1];
+            const previous = attached[attached.length - 1];
+            if (chunk.kind === 'price' && !chunk.perUnit) {
+                if (previous && this.isPriceMarker(previous, 'before')) {
+                    attached.pop();
+                    chunk.marked = true;
+                }
+                if (next && this.isPriceMarker(next, 'after')) {
+                    next.consumed = true;
+                    chunk.marked = true;
+                }
+            }
+            if (!chunk.consumed) {
+                attached.push(chunk);
+            }
+        });
+        return attached;
+    }
+
+    isPriceMarker(chunk, position) {
+        const source = chunk.source;
+        return ['unknown', 'phrase', 'filler'].includes(chunk.kind) && this.priceMarkers[position].includes(source);
+    }
+
+    reorderChunks(chunks, fromLanguage, toLanguage) {
+        if (this.wordOrder[fromLanguage] === this.wordOrder[toLanguage]) {
+            return chunks;
+        }
+
+        // Greetings and forms of address open the sentence in every language; only the clause after them moves
+        const lead = chunks.findIndex(chunk => !this.isCourtesy(chunk));
+        if (lead === -1) {
+            return chunks;
+        }
+        const opening = chunks.slice(0, lead);
+        const clause = chunks.slice(lead);
+
+        const isVerb = chunk => chunk.kind === 'phrase' && this.tradeTerms[chunk.key].verbFinal;
+        const verbs = clause.filter(isVerb);
+        const rest = clause.filter(chunk => !isVerb(chunk));
+        if (verbs.length === 0) {
+            return chunks;
+        }
+        if (this.wordOrder[toLanguage] === 'sov') {
+            return [...opening, ...rest, ...verbs];
+        }
+
+        let subjectCount = 0;
+        while (subjectCount < rest.length && rest[subjectCount].kind === 'phrase' && this.tradeTerms[rest[subjectCount].key].subject) {
+            subjectCount++;
+        }
+        return [...opening, ...rest.slice(0, subjectCount), ...verbs, ...rest.slice(subjectCount)];
+    }
+
+    isCourtesy(chunk) {
+        return chunk.kind === 'filler' || (chunk.kind === 'phrase' && this.tradeTerms[chunk.key].category === 'courtesy');
+    }
+
+    renderChunks(chunks, toLanguage) {
+        const keys = chunks.filter(chunk => chunk.kind === 'phrase').map(chunk => chunk.key);
+
+        return chunks.map((chunk, index) => {
+            const next = chunks[index + 1];
+            switch (chunk.kind) {
+                case 'phrase': {
+                    const term = this.tradeTerms[chunk.key];
+                    if (term.impliedBy && toLanguage === 'english' && keys.includes(term.impliedBy)) {
+                        return { source: chunk.source, text: '', translated: true };
+                    }
+                    const withProduct = term.withProduct && term.withProduct[toLanguage];
+                    const text = withProduct && next && next.kind === 'product' ? withProduct : term[toLanguage][0];
+                    return { source: chunk.source, text, translated: true };
+                }
+                case 'product': {
+                    const [name] = this.products[chunk.key][toLanguage];
+                    return name ? { source: chunk.source, text: name, translated: true } : { source: chunk.source, text: chunk.source, translated: false };
+                }
+                case 'quantity':
+                    return { source: chunk.source, text: `${chunk.value} ${this.unitNames[chunk.unit][toLanguage]}`, translated: true };
+                case 'price':
+                    return { source: chunk.source, text: this.renderPrice(chunk, toLanguage), translated: true };
+                case 'number':
+                    return { source: chunk.source, text: String(chunk.value), translated: true };
+                case 'unit':
+                    return { source: chunk.source, text: this.unitNames[chunk.unit][toLanguage], translated: true };
+                case 'filler':
+                    return { source: chunk.source, text: '', translated: true };
+                default:
+                    return { source: chunk.source, text: chunk.source, translated: false };
+            }
+        });
+    }
+
+    renderPrice(chunk, toLanguage) {
+        const templates = this.priceTemplates[toLanguage];
+        const template = chunk.perUnit ? templates.perUnit : (chunk.marked ? templates.marked : templates.plain);
+        return template
+            .replace('{amount}', chunk.amount)
+            .replace('{unit}', chunk.perUnit ? this.unitNames[chunk.perUnit][toLanguage] : '');
+    }
+
+    // For text composed elsewhere; the catalog key stands in where a language has no name for the product
+    getProductName(product, language) {
+        const names = this.products[product] && this.products[product][language];
+        return names && names.length > 0 ? names[0] : product;
+    }
+
+    getUnitName(unit, language) {
+        return this.unitNames[unit] ? this.unitNames[unit][language] : unit;
+    }
+
+    markUntranslated(text) {
+        return `${this.untranslatedMarker.open}${text}${this.untranslatedMarker.close}`;
+    }
+
+    getCommonPhrases(language, category = null) {
+        return Object.entries(this.tradeTerms)
+            .filter(([, term]) => !category || term.category === category)
+            .filter(([, term]) => term[language])
+            .map(([key, term]) => ({ key, phrase: term[language][0] }));
+    }
+}
+
+class CatalogSchemaError extends Error {
+    constructor(issues) {
+        super(`Price catalog is invalid (${issues.length} issue${issues.length === 1 ? '' : 's'}): ${issues.join('; ')}`);
+        this.name = 'CatalogSchemaError';
+        this.issues = issues;
+    }
+}
+
+// Validated view over prices.json: products, categories, negotiationRules, regionalFactors
+class PriceCatalog {
+    constructor(data) {
+        this.knownUnits = ['kg', 'g', 'quintal', 'liter', 'ml', 'piece', 'dozen'];
+        // Partial names shorter than this ("o", "ri") would match whichever product happens to come first
+        this.minPartialNameLength = 4;
+
+        const issues = this.validate(data);
+        if (issues.length > 0) {
+            throw new CatalogSchemaError(issues);
+        }
+
+        this.products = data.products;
+        this.categories = data.categories || {};
+        this.negotiationRules = data.negotiationRules || {};
+        this.regionalFactors = data.regionalFactors || {};
+        this.festivalCalendar = data.festivalCalendar || [];
+    }
+
+    validate(data) {
+        if (!this.isPlainObject(data)) {
+            return ['catalog must be a JSON object'];
+        }
+        if (!this.isPlainObject(data.products) || Object.keys(data.products).length === 0) {
+            return ['"products" must be a non-empty object keyed by product name'];
+        }
+
+        const issues = [];
+        const categories = data.categories;
+
+        if (categories !== undefined && !this.isPlainObject(categories)) {
+            issues.push('"categories" must be an object');
+        } else if (categories !== undefined) {
+            Object.entries(categories).forEach(([name, category]) => {
+                if (this.isPlainObject(category) && category.defaultMargin !== undefined && !this.isFraction(category.defaultMargin)) {
+                    issues.push(`categories.${name}.defaultMargin must be a fraction between 0 and 1`);
+                }
+            });
+        }
+        if (data.negotiationRules !== undefined) {
+            issues.push(...this.validateNegotiationRules(data.negotiationRules));
+        }
+        if (data.regionalFactors !== undefined) {
+            issues.push(...this.validateRegionalFactors(data.regionalFactors));
+        }
+        if (data.festivalCalendar !== undefined) {
+            issues.push(...this.validateFestivalCalendar(data.festivalCalendar));
+        }
+
+        Object.entries(data.products).forEach(([name, product]) => {
+            issues.push(...this.validateProduct(name, product, categories));
+        });
+
+        return issues;
+    }
+
+    validateProduct(name, product, categories) {
+        const path = `products.${name}`;
+        if (!this.isPlainObject(product)) {
+            return [`${path} must be an object`];
+        }
+
+        const issues = [];
+        const { marketPrice, minPrice, maxPrice } = product;
+
+        if (typeof product.category !== 'string' || product.category.length === 0) {
+            issues.push(`${path}.category is required`);
+        } else if (this.isPlainObject(categories) && !categories[product.category]) {
+            issues.push(`${path}.category "${product.category}" is not defined in categories`);
+        }
+
+        ['marketPrice', 'minPrice', 'maxPrice'].forEach(field => {
+            if (!this.isPositiveNumber(product[field])) {
+                issues.push(`${path}.${field} must be a positive number`);
+            }
+        });
+        if ([marketPrice, minPrice, maxPrice].every(value => this.isPositiveNumber(value)) &&
+            !(minPrice <= marketPrice && marketPrice <= maxPrice)) {
+            issues.push(`${path} must satisfy minPrice ≤ marketPrice ≤ maxPrice (got ${minPrice}, ${marketPrice}, ${maxPrice})`);
+        }
+
+        if (!this.knownUnits.includes(product.unit)) {
+            issues.push(`${path}.unit "${product.unit}" is not one of ${this.knownUnits.join(', ')}`);
+        }
+
+        if (product.bulkThreshold !== undefined && !this.isPositiveNumber(product.bulkThreshold)) {
+            issues.push(`${path}.bulkThreshold must be a positive number`);
+        }
+        if (product.bulkDiscount !== undefined && !this.isFraction(product.bulkDiscount)) {
+            issues.push(`${path}.bulkDiscount must be a fraction between 0 and 1`);
+        }
+
+        if (product.seasonal !== undefined) {
+            issues.push(...this.validateSeasonal(`${path}.seasonal`, product.seasonal));
+        }
+
+        ['quality', 'commonNames'].forEach(field => {
+            const list = product[field];
+            // commonNames may also be split by language, each list starting with the name spoken in that language
+            const lists = field === 'commonNames' && this.isPlainObject(list) ? Object.values(list) : [list];
+            if (list !== undefined && lists.some(entry => !Array.isArray(entry) || entry.some(item => typeof item !== 'string'))) {
+                issues.push(`${path}.${field} must be a list of strings`);
+            }
+        });
+
+        if (product.qualityTiers !== undefined) {
+            issues.push(...this.validateQualityTiers(`${path}.qualityTiers`, product.qualityTiers, product.quality));
+        }
+
+        return issues;
+    }
+
+    validateQualityTiers(path, tiers, quality) {
+        if (!this.isPlainObject(tiers)) {
+            return [`${path} must be an object`];
+        }
+
+        const issues = [];
+        const listed = Array.isArray(quality) ? quality : [];
+        Object.entries(tiers).forEach(([tier, rule]) => {
+            const tierPath = `${path}.${tier}`;
+            if (!listed.includes(tier)) {
+                issues.push(`${tierPath} is not listed in quality`);
+            }
+            if (!this.isPlainObject(rule)) {
+                issues.push(`${tierPath} must be an object`);
+                return;
+            }
+            if (!this.isPositiveNumber(rule.priceMultiplier)) {
+                issues.push(`${tierPath}.priceMultiplier must be a positive number`);
+            }
+            if (rule.aliases !== undefined && (!Array.isArray(rule.aliases) || rule.aliases.some(alias => typeof alias !== 'string'))) {
+                issues.push(`${tierPath}.aliases must be a list of strings`);
+            }
+        });
+        return issues;
+    }
+
+    validateSeasonal(path, seasonal) {
+        if (!this.isPlainObject(seasonal)) {
+            return [`${path} must be an object`];
+        }
+
+        const issues = [];
+        Object.entries(seasonal).forEach(([season, rule]) => {
+            const seasonPath = `${path}.${season}`;
+            if (!this.isPlainObject(rule)) {
+                issues.push(`${seasonPath} must be an object`);
+                return;
+            }
+            if (!Array.isArray(rule.months) || rule.months.length === 0) {
+                issues.push(`${seasonPath}.months must be a non-empty list`);
+            } else {
+                rule.months
+                    .filter(month => !Number.isInteger(month) || month < 1 || month > 12)
+                    .forEach(month => issues.push(`${seasonPath}.months contains invalid month ${JSON.stringify(month)} (expected 1-12)`));
+            }
+            if (!this.isPositiveNumber(rule.priceMultiplier)) {
+                issues.push(`${seasonPath}.priceMultiplier must be a positive number`);
+            }
+        });
+        return issues;
+    }
+
+    validateNegotiationRules(rules) {
+        if (!this.isPlainObject(rules)) {
+            return ['"negotiationRules" must be an object'];
+        }
+        if (rules.maxDiscount !== undefined && !this.isFraction(rules.maxDiscount)) {
+            return ['negotiationRules.maxDiscount must be a fraction between 0 and 1'];
+        }
+        return ['culturalFactors', 'marketConditions']
+            .filter(field => rules[field] !== undefined)
+            .flatMap(field => this.validatePhraseSet(`negotiationRules.${field}`, rules[field]));
+    }
+
+    // Each phrase maps language names to text, so a new language only needs new entries in the data file
+    validatePhraseSet(path, phrases) {
+        if (!this.isPlainObject(phrases)) {
+            return [`${path} must be an object`];
+        }
+        return Object.entries(phrases)
+            .filter(([, phrase]) => !this.isPlainObject(phrase) || Object.values(phrase).some(text => typeof text !== 'string'))
+            .map(([key]) => `${path}.${key} must map language names to phrases`);
+    }
+
+    validateRegionalFactors(factors) {
+        if (!this.isPlainObject(factors)) {
+            return ['"regionalFactors" must be an object'];
+        }
+        return Object.entries(factors)
+            .filter(([, factor]) => !this.isPlainObject(factor) || !this.isPositiveNumber(factor.priceMultiplier))
+            .map(([region]) => `regionalFactors.${region}.priceMultiplier must be a positive number`);
+    }
+
+    // Fixed-date festivals give month and day; lunar ones list each year's date as YYYY-MM-DD
+    validateFestivalCalendar(calendar) {
+        if (!Array.isArray(calendar)) {
+            return ['"festivalCalendar" must be a list'];
+        }
+
+        const issues = [];
+        calendar.forEach((festival, index) => {
+            const path = `festivalCalendar[${index}]`;
+            if (!this.isPlainObject(festival)) {
+                issues.push(`${path} must be an object`);
+                return;
+            }
+            if (typeof festival.name !== 'string' || festival.name.length === 0) {
+                issues.push(`${path}.name is required`);
+            }
+            if (!Number.isInteger(festival.leadDays) || festival.leadDays < 0) {
+                issues.push(`${path}.leadDays must be a whole number of days`);
+            }
+            if (festival.dates !== undefined) {
+                if (!Array.isArray(festival.dates) || festival.dates.length === 0) {
+                    issues.push(`${path}.dates must be a non-empty list`);
+                } else {
+                    festival.dates
+                        .filter(date => !this.isCalendarDate(date))
+                        .forEach(date => issues.push(`${path}.dates contains invalid date ${JSON.stringify(date)} (expected YYYY-MM-DD)`));
+                }
+            } else if (!this.isCalendarDate(`2000-${String(festival.month).padStart(2, '0')}-${String(festival.day).padStart(2, '0')}`)) {
+                issues.push(`${path} needs either dates or a valid month and day`);
+            }
+        });
+        return issues;
+    }
+
+    isCalendarDate(value) {
+        const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return false;
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isPositiveNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value > 0;
+    }
+
+    isFraction(value) {
+        return typeof value === 'number' && value >= 0 && value <= 1;
+    }
+
+    get productCount() {
+        return Object.keys(this.products).length;
+    }
+
+    getProduct(key) {
+        const product = this.products[key];
+        return product ? { ...product, product: key } : null;
+    }
+
+    findProduct(name) {
+        if (!name) return null;
+        const normalizedName = name.toLowerCase().trim();
+
+        if (this.products[normalizedName]) {
+            return this.getProduct(normalizedName);
+        }
+
+        for (const key of Object.keys(this.products)) {
+            if (this.getCommonNames(key).some(alias => alias.toLowerCase() === normalizedName)) {
+                return this.getProduct(key);
+            }
+        }
+
+        for (const key of Object.keys(this.products)) {
+            const [shorter, longer] = key.length <= normalizedName.length ? [key, normalizedName] : [normalizedName, key];
+            if (shorter.length >= this.minPartialNameLength && longer.includes(shorter)) {
+                return this.getProduct(key);
+            }
+        }
+
+        return null;
+    }
+
+    getCategory(category) {
+        return this.categories[category] || null;
+    }
+
+    getProductsInCategory(category) {
+        return Object.keys(this.products)
+            .filter(key => this.products[key].category === category)
+            .map(key => this.getProduct(key));
+    }
+
+    // All aliases, or one language's when commonNames is split by language; a plain list belongs to no language
+    getCommonNames(productKey, language = null) {
+        const names = (this.products[productKey] && this.products[productKey].commonNames) || [];
+        if (Array.isArray(names)) {
+            return language ? [] : [...names];
+        }
+        return language ? [...(names[language] || [])] : Object.values(names).flat();
+    }
+
+    getSeason(productKey, month) {
+        const seasonal = (this.products[productKey] && this.products[productKey].seasonal) || {};
+
+        for (const [season, rule] of Object.entries(seasonal)) {
+            if (rule.months.includes(month)) {
+                return { season, multiplier: rule.priceMultiplier, months: [...rule.months] };
+            }
+        }
+
+        return { season: 'regular', multiplier: 1, months: [] };
+    }
+
+    // Every listed grade with its price multiplier; grades without a rule price like the plain product
+    getQualityTiers(productKey) {
+        const product = this.products[productKey];
+        if (!product) return [];
+
+        const rules = product.qualityTiers || {};
+        return (product.quality || []).map(tier => ({
+            tier,
+            multiplier: rules[tier] ? rules[tier].priceMultiplier : 1,
+            aliases: rules[tier] && rules[tier].aliases ? [...rules[tier].aliases] : []
+        }));
+    }
+}
+
+class PriceDiscoveryEngine {
+    constructor() {
+        this.catalog = null;
+        this.fallbackPrices = {
+            vegetables: { min: 20, avg: 40, max: 80, unit: 'kg' },
+            fruits: { min: 30, avg: 60, max: 120, unit: 'kg' },
+            general: { min: 25, avg: 50, max: 100, unit: 'kg' }
+        };
+        this.defaultMaxDiscount = 0.15;
+        this.defaultMargin = 0.1;
+        this.perishableShelfLifeDays = 7;
+        // How each negotiationRules.marketConditions entry moves today's prices and how firm the vendor can be
+        this.conditionEffects = {
+            highDemand: { priceMultiplier: 1.05, flexibility: 'low' },
+            lowDemand: { priceMultiplier: 0.95, flexibility: 'high' },
+            festivalSeason: { priceMultiplier: 1.1, flexibility: 'low' },
+            weatherImpact: { priceMultiplier: 1.08, flexibility: null }
+        };
+        this.shelfLifeUnitDays = { day: 1, week: 7, month: 30, year: 365 };
+        // A package price rounds the bill down to a figure that is easy to say and pay
+        this.packageRoundingSteps = [
+            { upTo: 100, step: 5 },
+            { upTo: 1000, step: 10 },
+            { upTo: Infinity, step: 50 }
+        ];
+        this.bulkTierSteps = [
+            { quantityFactor: 1, discountFactor: 1 },
+            { quantityFactor: 2, discountFactor: 1.5 },
+            { quantityFactor: 4, discountFactor: 2 }
+        ];
+    }
+
+    loadPriceData(data) {
+        this.catalog = new PriceCatalog(data);
+        console.log('Price data loaded:', this.catalog.productCount, 'products');
+        this.getExpiredFestivals().forEach(({ name, lastDate }) => {
+            console.warn(`Festival calendar has no ${name} date after ${lastDate}; add the coming dates to festivalCalendar in prices.json`);
+        });
+        return this.catalog;
+    }
+
+    async getMarketPrice(product, category = 'general', options = {}) {
+        const date = options.date || new Date();
+        let priceInfo = this.findExactMatch(product);
+
+        if (!priceInfo) {
+            priceInfo = this.getCategoryPricing(category);
+        }
+
+        this.applySeasonalPricing(priceInfo, date);
+        this.applyQualityPricing(priceInfo, options.quality);
+        this.applyRegionalPricing(priceInfo, options.region);
+        this.applyMarketConditions(priceInfo, options.conditions, date);
+        return this.addMarketIntelligence(priceInfo, product, priceInfo.category || category);
+    }
+
+    async calculateBill(lineItems, options = {}) {
+        const lines = [];
+        for (const item of lineItems) {
+            const priceInfo = await this.getMarketPrice(item.product, item.category, options);
+            // An amount in another unit ("2 litre" of eggs) cannot be priced, so the line falls back to one unit
+            const matchesUnit = item.quantity && (!item.unit || item.unit === priceInfo.unit);
+            const quantity = matchesUnit ? item.quantity : 1;
+            const tiers = priceInfo.bulkPricing ? priceInfo.bulkPricing.tiers.filter(tier => quantity >= tier.minQuantity) : [];
+            const tier = tiers[tiers.length - 1] || null;
+            const unitPrice = tier ? tier.unitPrice : priceInfo.marketPrice;
+
+            lines.push({
+                product: priceInfo.product || item.product,
+                quantity,
+                unit: priceInfo.unit,
+                quantityAssumed: !matchesUnit,
+                unitPrice,
+                bulkDiscount: tier ? tier.discount : 0,
+                lineTotal: Math.round(unitPrice * quantity),
+                floorTotal: Math.round(Math.min(priceInfo.minPrice, unitPrice) * quantity)
+            });
+        }
+
+        const total = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+        const floorTotal = lines.reduce((sum, line) => sum + line.floorTotal, 0);
+        return { lines, total, packagePrice: this.getPackagePrice(total, floorTotal) };
+    }
+
+    // Uses the coarsest step that still keeps every line at or above its floor; otherwise the exact total
+    getPackagePrice(total, floorTotal) {
+        const largest = this.packageRoundingSteps.find(entry => total <= entry.upTo).step;
+        const rounded = this.packageRoundingSteps
+            .filter(entry => entry.step <= largest)
+            .map(entry => Math.floor(total / entry.step) * entry.step)
+            .sort((a, b) => a - b)
+            .find(price => price > 0 && price >= floorTotal);
+        return rounded || total;
+    }
+
+    applySeasonalPricing(priceInfo, date) {
+        const month = date.getMonth() + 1;
+        const season = priceInfo.source === 'catalog'
+            ? this.catalog.getSeason(priceInfo.product, month)
+            : { season: 'regular', multiplier: 1, months: [] };
+
+        priceInfo.basePrices = {
+            marketPrice: priceInfo.marketPrice,
+            minPrice: priceInfo.minPrice,
+            maxPrice: priceInfo.maxPrice
+        };
+        priceInfo.marketPrice = Math.round(priceInfo.marketPrice * season.multiplier);
+        priceInfo.minPrice = Math.round(priceInfo.minPrice * season.multiplier);
+        priceInfo.maxPrice = Math.round(priceInfo.maxPrice * season.multiplier);
+        priceInfo.season = { ...season, month };
+
+        return priceInfo;
+    }
+
+    getRegionalFactor(region) {
+        const factors = this.catalog ? this.catalog.regionalFactors : {};
+        const factor = region ? factors[region] : null;
+        if (!factor) return null;
+
+        return {
+            region,
+            multiplier: factor.priceMultiplier,
+            negotiationStyle: factor.negotiationStyle || null,
+            timePreference: factor.timePreference || null
+        };
+    }
+
+    applyRegionalPricing(priceInfo, region) {
+        priceInfo.region = this.getRegionalFactor(region);
+        return this.scalePrices(priceInfo);
+    }
+
+    applyQualityPricing(priceInfo, quality) {
+        const tiers = priceInfo.source === 'catalog' ? this.catalog.getQualityTiers(priceInfo.product) : [];
+        const match = tiers.find(tier => tier.tier === quality);
+        priceInfo.qualityTier = match ? { tier: match.tier, multiplier: match.multiplier } : null;
+        return this.scalePrices(priceInfo);
+    }
+
+    applyMarketConditions(priceInfo, declared, date) {
+        priceInfo.marketConditions = this.resolveMarketConditions(declared, date);
+        return this.scalePrices(priceInfo);
+    }
+
+    // Declared conditions are true or false; anything left undeclared falls back to the festival calendar
+    resolveMarketConditions(declared = {}, date = new Date()) {
+        const choices = declared || {};
+        const festival = this.getFestival(date);
+        const active = Object.keys(this.conditionEffects).filter(condition => {
+            if (typeof choices[condition] === 'boolean') return choices[condition];
+            return condition === 'festivalSeason' && Boolean(festival);
+        });
+
+        return {
+            active,
+            festival,
+            festivalFromCalendar: Boolean(festival) && typeof choices.festivalSeason !== 'boolean'
+        };
+    }
+
+    getFestival(date = new Date()) {
+        const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const dayMs = 24 * 60 * 60 * 1000;
+        let nearest = null;
+
+        this.getFestivalCalendar().forEach(festival => {
+            const occurrences = festival.dates
+                ? festival.dates.map(text => this.parseCalendarDate(text))
+                : [today.getFullYear(), today.getFullYear() + 1].map(year => new Date(year, festival.month - 1, festival.day));
+
+            occurrences.forEach(occurrence => {
+                const daysUntil = Math.round((occurrence - today) / dayMs);
+                if (daysUntil >= 0 && daysUntil <= festival.leadDays && (!nearest || daysUntil < nearest.daysUntil)) {
+                    nearest = { name: festival.name, daysUntil, month: occurrence.getMonth() + 1, day: occurrence.getDate() };
+                }
+            });
+        });
+
+        return nearest;
+    }
+
+    getFestivalCalendar() {
+        return this.catalog ? this.catalog.festivalCalendar : [];
+    }
+
+    parseCalendarDate(text) {
+        const [year, month, day] = text.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Lunar festivals are listed by date, so once the last one passes the festival flag would stop firing silently
+    getExpiredFestivals(date = new Date()) {
+        const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return this.getFestivalCalendar()
+            .filter(festival => festival.dates)
+            .map(festival => ({ name: festival.name, lastDate: [...festival.dates].sort().pop() }))
+            .filter(({ lastDate }) => this.parseCalendarDate(lastDate) < today);
+    }
+
+    getPriceMultiplier(priceInfo, qualityMultiplier) {
+        const seasonal = priceInfo.season ? priceInfo.season.multiplier : 1;
+        const regional = priceInfo.region ? priceInfo.region.multiplier : 1;
+        const conditions = priceInfo.marketConditions
+            ? priceInfo.marketConditions.active.reduce((product, condition) => product * this.conditionEffects[condition].priceMultiplier, 1)
+            : 1;
+        return seasonal * qualityMultiplier * regional * conditions;
+    }
+
+    getFlexibility(category, marketConditions) {
+        const effects = (marketConditions ? marketConditions.active : [])
+            .map(condition => this.conditionEffects[condition].flexibility);
+        if (effects.includes('low')) return 'low';
+        if (effects.includes('high')) return 'high';
+        return category === 'vegetables' ? 'high' : 'moderate';
+    }
+
+    // Scale from the unrounded base so season, grade, region and market conditions are only rounded once
+    scalePrices(priceInfo) {
+        const multiplier = this.getPriceMultiplier(priceInfo, priceInfo.qualityTier ? priceInfo.qualityTier.multiplier : 1);
+        ['marketPrice', 'minPrice', 'maxPrice'].forEach(field => {
+            priceInfo[field] = Math.round(priceInfo.basePrices[field] * multiplier);
+        });
+        return priceInfo;
+    }
+
+    calculateQualityBands(priceInfo) {
+        if (priceInfo.source !== 'catalog') return [];
+
+        return this.catalog.getQualityTiers(priceInfo.product).map(tier => {
+            const multiplier = this.getPriceMultiplier(priceInfo, tier.multiplier);
+            return {
+                tier: tier.tier,
+                marketPrice: Math.round(priceInfo.basePrices.marketPrice * multiplier),
+                minPrice: Math.round(priceInfo.basePrices.minPrice * multiplier),
+                maxPrice: Math.round(priceInfo.basePrices.maxPrice * multiplier),
+                selected: Boolean(priceInfo.qualityTier && priceInfo.qualityTier.tier === tier.tier)
+            };
+        });
+    }
+
+    getSeasonalOutlook(product, region = null) {
+        const match = this.catalog ? this.catalog.findProduct(product) : null;
+        if (!match) return null;
+
+        const factor = this.getRegionalFactor(region);
+        const regional = factor ? factor.multiplier : 1;
+
+        const months = [];
+        for (let month = 1; month <= 12; month++) {
+            const season = this.catalog.getSeason(match.product, month);
+            months.push({
+                month,
+                season: season.season,
+                multiplier: season.multiplier,
+                price: Math.round(match.marketPrice * season.multiplier * regional)
+            });
+        }
+
+        const multipliers = months.map(entry => entry.multiplier);
+        const lowest = Math.min(...multipliers);
+        const highest = Math.max(...multipliers);
+
+        return {
+            product: match.product,
+            unit: match.unit,
+            months,
+            cheapestMonths: lowest < highest ? months.filter(entry => entry.multiplier === lowest).map(entry => entry.month) : [],
+            costliestMonths: lowest < highest ? months.filter(entry => entry.multiplier === highest).map(entry => entry.month) : []
+        };
+    }
+
+    findExactMatch(product) {
+        if (!this.catalog) return null;
+
+        const match = this.catalog.findProduct(product);
+        if (!match) return null;
+
+        return {
+            ...match,
+            confidence: 0.9,
+            source: 'catalog',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    getCategoryPricing(category) {
+        const inCategory = this.catalog ? this.catalog.getProductsInCategory(category) : [];
+        const unit = inCategory.length > 0 ? inCategory[0].unit : null;
+        const catalogProducts = inCategory.filter(item => item.unit === unit);
+        if (catalogProducts.length > 0) {
+            const average = field => Math.round(
+                catalogProducts.reduce((sum, item) => sum + item[field], 0) / catalogProducts.length
+            );
+            return {
+                product: `${category} item`,
+                category: category,
+                marketPrice: average('marketPrice'),
+                minPrice: average('minPrice'),
+                maxPrice: average('maxPrice'),
+                unit: catalogProducts[0].unit,
+                confidence: 0.6,
+                source: 'category_average',
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const fallback = this.fallbackPrices[category] || this.fallbackPrices.general;
         
         return {
             product: `${category} item`,
@@ -317,100 +2561,672 @@ class PriceDiscoveryEngine {
         };
         
         priceInfo.negotiation = {
-            flexibility: category === 'vegetables' ? 'high' : 'moderate'
+            flexibility: this.getFlexibility(category, priceInfo.marketConditions)
         };
+
+        priceInfo.bulkPricing = this.calculateBulkTiers(priceInfo);
+        priceInfo.qualityBands = this.calculateQualityBands(priceInfo);
+        priceInfo.storage = this.getStorageInfo(category);
+        priceInfo.margin = this.getDefaultMargin(category);
         
         return priceInfo;
     }
-}
 
-class NegotiationAssistant {
-    constructor() {
-        this.strategies = {
-            bargaining: ['emphasize_quality', 'show_market_rates', 'be_flexible'],
-            bulk_purchase: ['offer_tiered_pricing', 'emphasize_savings'],
-            casual_inquiry: ['provide_information', 'build_relationship']
-        };
+    getDefaultMargin(category) {
+        const categoryInfo = this.catalog ? this.catalog.getCategory(category) : null;
+        return categoryInfo && typeof categoryInfo.defaultMargin === 'number' ? categoryInfo.defaultMargin : this.defaultMargin;
+    }
+
+    getStorageInfo(category) {
+        const categoryInfo = this.catalog ? this.catalog.getCategory(category) : null;
+        if (!categoryInfo || !categoryInfo.storageLife) return null;
+
+        // "1-7 days" keeps for up to seven days; the upper bound decides whether stock has to move quickly
+        const match = String(categoryInfo.storageLife).match(/(\d+)\s*(day|week|month|year)/i);
+        const days = match ? Number(match[1]) * this.shelfLifeUnitDays[match[2].toLowerCase()] : null;
+
+        return {
+            life: categoryInfo.storageLife,
+            days,
+            perishable: days !== null && days <= this.perishableShelfLifeDays
+        };
+    }
+
+    getMaxDiscount() {
+        const rules = this.catalog ? this.catalog.negotiationRules : {};
+        return typeof rules.maxDiscount === 'number' ? rules.maxDiscount : this.defaultMaxDiscount;
+    }
+
+    calculateBulkTiers(priceInfo) {
+        if (!priceInfo.bulkThreshold || !priceInfo.bulkDiscount) {
+            return null;
+        }
+
+        const maxDiscount = this.getMaxDiscount();
+        const tiers = [];
+
+        this.bulkTierSteps.forEach(step => {
+            const discount = Math.min(priceInfo.bulkDiscount * step.discountFactor, maxDiscount);
+            // Round up so the rounded price never exceeds the allowed discount
+            const unitPrice = Math.ceil(priceInfo.marketPrice * (1 - discount));
+            const previous = tiers[tiers.length - 1];
+            if (unitPrice >= (previous ? previous.unitPrice : priceInfo.marketPrice)) {
+                return;
+            }
+            tiers.push({
+                minQuantity: priceInfo.bulkThreshold * step.quantityFactor,
+                discount: Math.round(discount * 1000) / 1000,
+                unitPrice
+            });
+        });
+
+        return {
+            threshold: priceInfo.bulkThreshold,
+            maxDiscount,
+            tiers
+        };
+    }
+}
+
+class NegotiationSession {
+    constructor(thresholds, product) {
+        this.product = product;
+        this.unit = thresholds.unit;
+        this.quantity = thresholds.quantity;
+        this.acceptPrice = thresholds.acceptPrice;
+        this.floorPrice = thresholds.floorPrice;
+        this.costPrice = thresholds.costPrice || null;
+        this.history = [];
+        this.state = 'idle';
+        this.agreedPrice = null;
+
+        // Moves allowed from each state; the vendor opens, then the two sides alternate until a deal or an exit
+        this.transitions = {
+            idle: ['open'],
+            open: ['customer_offer', 'agree', 'end'],
+            awaiting_vendor: ['vendor_counter', 'agree', 'end'],
+            awaiting_customer: ['customer_offer', 'agree', 'end'],
+            agreed: [],
+            ended: []
+        };
+    }
+
+    canApply(move) {
+        return (this.transitions[this.state] || []).includes(move);
+    }
+
+    apply(move, party, price, nextState) {
+        if (!this.canApply(move)) {
+            console.warn(`Negotiation move "${move}" not allowed while ${this.state}`);
+            return null;
+        }
+        const step = { move, party, price, timestamp: new Date().toISOString() };
+        this.history.push(step);
+        this.state = nextState;
+        return step;
+    }
+
+    open(openingPrice) {
+        return this.apply('open', 'vendor', openingPrice, 'open');
+    }
+
+    recordCustomerOffer(price) {
+        return this.apply('customer_offer', 'customer', price, 'awaiting_vendor');
+    }
+
+    recordVendorCounter(price) {
+        return this.apply('vendor_counter', 'vendor', price, 'awaiting_customer');
+    }
+
+    agree(price) {
+        const step = this.apply('agree', null, price, 'agreed');
+        if (step) {
+            this.agreedPrice = price;
+        }
+        return step;
+    }
+
+    end() {
+        return this.apply('end', null, null, 'ended');
+    }
+
+    isActive() {
+        return this.state !== 'agreed' && this.state !== 'ended';
+    }
+
+    getPrices(party) {
+        return this.history.filter(step => step.party === party).map(step => step.price);
+    }
+
+    getLastPrice(party) {
+        const prices = this.getPrices(party);
+        return prices.length > 0 ? prices[prices.length - 1] : null;
+    }
+
+    // Holding at the same price is not a concession, so only a lower vendor price starts a new round
+    getRound() {
+        const prices = this.getPrices('vendor');
+        return prices.filter((price, index) => index > 0 && price < prices[index - 1]).length + 1;
+    }
+
+    clear() {
+        this.history = [];
+        this.state = 'ended';
+        this.agreedPrice = null;
+    }
+}
+
+class NegotiationAssistant {
+    constructor() {
+        // Checked from the highest priority down; every condition in `when` must hold for a tactic to apply.
+        // priceMove is a fraction of the asking price (negative means a discount); the floor price still wins.
+        this.tacticRules = [
+            { id: 'demand_firm', priority: 92, priceMove: 0, when: { conditions: ['highDemand'] } },
+            { id: 'festival_regular_goodwill', priority: 91, priceMove: 0, when: { conditions: ['festivalSeason'] } },
+            { id: 'scarce_supply_hold', priority: 90, priceMove: 0, when: { supply: ['scarce'] } },
+            { id: 'urgent_buyer_firm', priority: 85, priceMove: 0, when: { urgency: ['high'], supply: ['normal', 'glut'] } },
+            { id: 'weather_supply_hold', priority: 82, priceMove: 0, when: { conditions: ['weatherImpact'], supply: ['normal', 'glut'] } },
+            { id: 'bulk_tier_rate', priority: 80, priceMove: 0, when: { quantity: ['bulk'], supply: ['normal', 'glut'] } },
+            { id: 'perishable_clearance', priority: 75, priceMove: -0.08, when: { perishable: true, supply: ['normal', 'glut'], urgency: ['normal', 'low'] } },
+            { id: 'slow_market_flexible', priority: 72, priceMove: -0.05, when: { conditions: ['lowDemand'] } },
+            { id: 'glut_volume_discount', priority: 70, priceMove: -0.05, when: { supply: ['glut'], perishable: false, intents: ['bargaining'] } },
+            { id: 'glut_repeat_discount', priority: 65, priceMove: -0.03, when: { supply: ['glut'], perishable: false } },
+            { id: 'relationship_goodwill', priority: 64, priceMove: -0.03, when: { style: ['relationship-based'], supply: ['normal', 'glut'] } },
+            { id: 'competitive_match', priority: 63, priceMove: -0.04, when: { style: ['competitive'], intents: ['bargaining', 'price_inquiry'], supply: ['normal', 'glut'] } },
+            { id: 'direct_fixed_price', priority: 61, priceMove: 0, when: { style: ['direct'], supply: ['normal'] } },
+            { id: 'staple_quality_focus', priority: 62, priceMove: 0, when: { categories: ['grains', 'cooking'], supply: ['normal'] } },
+            { id: 'quality_premium', priority: 60, priceMove: 0.05, when: { intents: ['quality_inquiry'], flexibility: ['moderate', 'low'] } },
+            { id: 'flexible_meet_halfway', priority: 50, priceMove: -0.05, when: { intents: ['bargaining'], flexibility: ['high'] } },
+            { id: 'patient_buyer_sweetener', priority: 40, priceMove: -0.02, when: { urgency: ['low'] } },
+            { id: 'market_rate', priority: 0, priceMove: 0, when: {} }
+        ];
+        this.maxTactics = 3;
+        // Tone for the negotiation styles named in prices.json regionalFactors
+        this.regionalStyles = {
+            direct: {
+                customary: ['Quote one clear price up front', 'Keep the exchange short'],
+                communicationStyle: 'brief_and_direct'
+            },
+            'relationship-based': {
+                customary: ['Greet the customer and ask after the family', 'Remember what regular customers buy'],
+                communicationStyle: 'warm_and_personal'
+            },
+            competitive: {
+                customary: ['Know the rates at nearby stalls', 'Match quickly before the customer walks on'],
+                communicationStyle: 'confident_and_comparative'
+            }
+        };
+        this.urgencyWords = {
+            high: ['jaldi', 'turant', 'abhi', 'urgent', 'quickly', 'hurry', 'fast', 'bega', 'begane', 'seekiram', 'sikiram', 'udane'],
+            low: ['later', 'baad', 'dekhte', 'sochke', 'nodona', 'nodtini', 'paakalam', 'yosikiren']
+        };
+
+        // Share of the remaining room above the floor to give up in each round; later rounds give less so prices converge
+        this.concessionShares = [0.5, 0.35, 0.25];
+        // How far from the customer's offer toward the asking price a counter lands; firm markets stay closer to the ask
+        this.counterWeights = { low: 0.75, moderate: 0.5, high: 0.5 };
+    }
+
+    // costPrice is the vendor's own purchase cost per unit, when they have told us
+    async generateGuidance(intent, priceData, originalText, costPrice = null) {
+        try {
+            const customerAnalysis = this.analyzeCustomer(intent, originalText);
+            const priceThresholds = this.calculatePriceThresholds(intent, priceData, costPrice);
+            const counterOffers = this.applyCostFloor(this.generateCounterOffers(intent, priceData), priceThresholds);
+            const offerEvaluation = this.evaluateOfferAgainstRules(intent, priceThresholds);
+            const tacticAdvice = this.selectTactics(
+                this.buildTacticContext(intent, priceData, customerAnalysis, priceThresholds),
+                priceThresholds
+            );
+
+            if (offerEvaluation) {
+                counterOffers.forEach(offer => { offer.recommended = false; });
+                counterOffers.unshift(this.createOfferResponse(offerEvaluation));
+            }
+            this.addProfit(counterOffers, priceThresholds);
+            
+            return {
+                customerAnalysis,
+                counterOffers,
+                tactics: {
+                    primary: tacticAdvice.map(tactic => tactic.id),
+                    secondary: ['build_rapport'],
+                    avoid: ['aggressive_pressure'],
+                    advice: tacticAdvice
+                },
+                valuePropositions: [{
+                    type: 'quality',
+                    message: 'Fresh, high-quality products',
+                    reasoning: 'Quality differentiation'
+                }],
+                decisions: this.buildDecisions(priceThresholds, offerEvaluation),
+                offerEvaluation,
+                costBasis: priceThresholds && priceThresholds.costPrice ? {
+                    costPrice: priceThresholds.costPrice,
+                    margin: priceThresholds.margin,
+                    floorPrice: priceThresholds.costFloor,
+                    unit: priceThresholds.unit
+                } : null,
+                culturalContext: this.getCulturalContext(priceData),
+                confidence: this.calculateConfidence(intent, priceData),
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error generating negotiation guidance:', error);
+            return this.createFallbackGuidance(intent);
+        }
+    }
+
+    analyzeCustomer(intent, originalText) {
+        return {
+            priceAwareness: 'moderate',
+            urgency: this.detectUrgency(originalText),
+            flexibility: intent.type === 'bulk_purchase' ? 'high' : 'moderate',
+            signals: [intent.type]
+        };
+    }
+
+    getCulturalContext(priceData) {
+        const region = priceData && priceData.region;
+        const style = region && this.regionalStyles[region.negotiationStyle];
+        if (!style) {
+            return {
+                customary: ['Maintain respectful dialogue', 'Allow time for consideration'],
+                communicationStyle: 'respectful_and_patient'
+            };
+        }
+
+        return {
+            ...style,
+            customary: [...style.customary],
+            region: region.region,
+            timePreference: region.timePreference
+        };
+    }
+
+    detectUrgency(originalText) {
+        const words = String(originalText || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+        if (words.some(word => this.urgencyWords.high.includes(word))) return 'high';
+        if (words.some(word => this.urgencyWords.low.includes(word))) return 'low';
+        return 'normal';
+    }
+
+    buildTacticContext(intent, priceData, customerAnalysis, thresholds) {
+        const multiplier = priceData && priceData.season ? priceData.season.multiplier : 1;
+        const storage = priceData && priceData.storage;
+
+        return {
+            intent: intent.type,
+            product: (priceData && priceData.product) || intent.product,
+            category: (priceData && priceData.category) || intent.category,
+            supply: multiplier < 1 ? 'glut' : multiplier > 1 ? 'scarce' : 'normal',
+            flexibility: (priceData && priceData.negotiation && priceData.negotiation.flexibility) || 'moderate',
+            quantity: (thresholds && thresholds.bulkApplied) || intent.type === 'bulk_purchase' ? 'bulk' : 'retail',
+            urgency: customerAnalysis.urgency,
+            style: priceData && priceData.region ? priceData.region.negotiationStyle : null,
+            conditions: priceData && priceData.marketConditions ? priceData.marketConditions.active : [],
+            perishable: storage ? storage.perishable : null
+        };
+    }
+
+    matchesTactic(rule, context) {
+        const fields = { intents: 'intent', categories: 'category' };
+        return Object.entries(rule.when).every(([condition, expected]) => {
+            const actual = context[fields[condition] || condition];
+            if (Array.isArray(actual)) {
+                return expected.some(value => actual.includes(value));
+            }
+            return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+        });
+    }
+
+    selectTactics(context, thresholds) {
+        if (!thresholds) return [];
+
+        const matched = this.tacticRules.filter(rule => this.matchesTactic(rule, context));
+        // The plain market-rate tactic is only advice of last resort
+        const specific = matched.filter(rule => rule.priority > 0);
+
+        return (specific.length > 0 ? specific : matched)
+            .sort((a, b) => b.priority - a.priority)
+            .slice(0, this.maxTactics)
+            .map(rule => ({
+                id: rule.id,
+                product: context.product,
+                priceMove: rule.priceMove,
+                suggestedPrice: Math.max(thresholds.floorPrice, Math.round(thresholds.acceptPrice * (1 + rule.priceMove))),
+                unit: thresholds.unit,
+                supply: context.supply
+            }));
+    }
+
+    generateCounterOffers(intent, priceData) {
+        if (!priceData || !priceData.marketPrice) {
+            return [{
+                level: 'standard',
+                price: null,
+                message: 'Let me check current market prices',
+                reasoning: ['Price data not available'],
+                recommended: true
+            }];
+        }
+
+        const basePrice = priceData.marketPrice;
+        const offers = [];
+
+        if (intent.type === 'bulk_purchase') {
+            offers.push(...this.generateBulkOffers(intent, priceData));
+        }
+
+        offers.push({
+            level: 'standard',
+            price: basePrice,
+            unit: priceData.unit,
+            message: `Market rate: ₹${basePrice} per ${priceData.unit}`,
+            reasoning: ['Standard pricing'],
+            recommended: !offers.some(offer => offer.recommended)
+        });
+
+        return offers;
+    }
+
+    getRequestedQuantity(intent, priceData) {
+        const matchesUnit = intent.quantity && (!intent.unit || intent.unit === priceData.unit);
+        return matchesUnit ? intent.quantity : null;
+    }
+
+    getBulkTier(priceData, quantity) {
+        if (!priceData.bulkPricing || !quantity) return null;
+        const applicable = priceData.bulkPricing.tiers.filter(tier => quantity >= tier.minQuantity);
+        return applicable[applicable.length - 1] || null;
+    }
+
+    generateBulkOffers(intent, priceData) {
+        const bulkPricing = priceData.bulkPricing;
+        if (!bulkPricing || bulkPricing.tiers.length === 0) {
+            return [];
+        }
+
+        const unit = priceData.unit;
+        const quantity = this.getRequestedQuantity(intent, priceData) || bulkPricing.threshold;
+        const currentTier = this.getBulkTier(priceData, quantity);
+        const nextTier = bulkPricing.tiers.find(tier => quantity < tier.minQuantity);
+        const offers = [];
+
+        if (currentTier) {
+            const total = currentTier.unitPrice * quantity;
+            const savings = priceData.marketPrice * quantity - total;
+            // Rounding the tier price up leaves the customer a little less than the nominal tier discount
+            const discount = savings / (priceData.marketPrice * quantity);
+            offers.push({
+                level: 'bulk',
+                price: currentTier.unitPrice,
+                unit,
+                quantity,
+                total,
+                discount,
+                message: `Bulk pricing for ${quantity} ${unit}: ₹${currentTier.unitPrice} per ${unit}, ₹${total} total (${Math.round(discount * 100)}% off, customer saves ₹${savings})`,
+                reasoning: ['Volume discount', `Applies from ${currentTier.minQuantity} ${unit}`],
+                recommended: true
+            });
+        }
+
+        if (nextTier) {
+            const total = nextTier.unitPrice * nextTier.minQuantity;
+            const discount = (priceData.marketPrice - nextTier.unitPrice) / priceData.marketPrice;
+            offers.push({
+                level: 'bulk_upsell',
+                price: nextTier.unitPrice,
+                unit,
+                quantity: nextTier.minQuantity,
+                total,
+                discount,
+                message: `For ${nextTier.minQuantity} ${unit} or more: ₹${nextTier.unitPrice} per ${unit}, ₹${total} total (${Math.round(discount * 100)}% off)`,
+                reasoning: ['Larger order unlocks the next discount tier'],
+                recommended: false
+            });
+        }
+
+        return offers;
+    }
+
+    calculatePriceThresholds(intent, priceData, costPrice = null) {
+        if (!priceData || !priceData.marketPrice) return null;
+
+        const quantity = this.getRequestedQuantity(intent, priceData);
+        const bulkTier = this.getBulkTier(priceData, quantity);
+        const marketAccept = bulkTier ? bulkTier.unitPrice : priceData.marketPrice;
+        const margin = priceData.margin || 0;
+        // Never sell below what the vendor paid plus their usual margin, even when the market has dipped under it
+        const costFloor = costPrice ? Math.ceil(costPrice * (1 + margin)) : null;
+        const floorPrice = Math.max(Math.min(priceData.minPrice || marketAccept, marketAccept), costFloor || 0);
+
+        return {
+            unit: priceData.unit || 'unit',
+            quantity,
+            marketPrice: priceData.marketPrice,
+            acceptPrice: Math.max(marketAccept, floorPrice),
+            floorPrice,
+            costPrice: costPrice || null,
+            costFloor,
+            margin,
+            bulkApplied: Boolean(bulkTier),
+            flexibility: (priceData.negotiation && priceData.negotiation.flexibility) || 'moderate'
+        };
+    }
+
+    getUnitCost(intent, priceData) {
+        const cost = intent.costPrice;
+        if (!cost || !cost.amount || !priceData) return null;
+        if (cost.perUnit && cost.perUnit !== priceData.unit) return null;
+
+        const quantity = this.getRequestedQuantity(intent, priceData);
+        // A lump sum for a quantity we cannot convert ("5 dozen 300 mein") says nothing about the unit cost
+        if (!cost.perUnit && intent.quantity && !quantity) return null;
+        return Math.round((cost.perUnit || !quantity ? cost.amount : cost.amount / quantity) * 100) / 100;
+    }
+
+    applyCostFloor(offers, thresholds) {
+        if (!thresholds || !thresholds.costPrice) return offers;
+
+        const { unit, floorPrice, costPrice, margin } = thresholds;
+        const allowed = offers.filter(offer => offer.price === null || offer.price >= floorPrice);
+        if (!allowed.some(offer => offer.recommended)) {
+            allowed.forEach(offer => { offer.recommended = false; });
+            allowed.unshift({
+                level: 'cost_floor',
+                price: floorPrice,
+                unit,
+                message: `Hold at ₹${floorPrice} per ${unit}: your cost ₹${costPrice} plus ${Math.round(margin * 100)}% margin`,
+                reasoning: ['The market rate is below your cost plus margin'],
+                recommended: true
+            });
+        }
+        return allowed;
+    }
+
+    addProfit(offers, thresholds) {
+        if (!thresholds || !thresholds.costPrice) return offers;
+
+        offers.filter(offer => offer.price).forEach(offer => {
+            offer.profit = Math.round((offer.price - thresholds.costPrice) * 100) / 100;
+            offer.profitTotal = offer.quantity ? Math.round(offer.profit * offer.quantity) : null;
+            offer.message += ` · profit ₹${offer.profit} per ${offer.unit}${offer.profitTotal !== null ? ` (₹${offer.profitTotal} total)` : ''}`;
+        });
+        return offers;
+    }
+
+    evaluateOfferAgainstRules(intent, thresholds) {
+        const offer = intent.offeredPrice;
+        if (!offer || !offer.amount || !thresholds) return null;
+
+        const { quantity, acceptPrice, floorPrice } = thresholds;
+        // "₹100 for 1 dozen" on a per-kg product cannot be turned into a per-kg offer, so it is not judged at all
+        const wrongUnit = offer.perUnit && thresholds.unit && offer.perUnit !== thresholds.unit;
+        const unconvertedLumpSum = !offer.perUnit && intent.quantity && !quantity;
+        if (wrongUnit || unconvertedLumpSum) return null;
+
+        const perUnit = offer.perUnit || !quantity;
+        const offeredUnitPrice = Math.round((perUnit ? offer.amount : offer.amount / quantity) * 100) / 100;
+
+        let decision = 'decline';
+        let counterPrice = floorPrice;
+        if (offeredUnitPrice >= acceptPrice) {
+            decision = 'accept';
+            counterPrice = offeredUnitPrice;
+        } else if (offeredUnitPrice >= floorPrice) {
+            decision = 'counter';
+            const weight = this.counterWeights[thresholds.flexibility] || this.counterWeights.moderate;
+            counterPrice = Math.ceil(offeredUnitPrice + (acceptPrice - offeredUnitPrice) * weight);
+        }
+
+        return {
+            ...thresholds,
+            decision,
+            offeredUnitPrice,
+            offeredTotal: quantity ? Math.round(offeredUnitPrice * quantity) : null,
+            counterPrice,
+            counterTotal: quantity ? Math.round(counterPrice * quantity) : null
+        };
+    }
+
+    startSession(intent, priceData, costPrice = null) {
+        const thresholds = this.calculatePriceThresholds(intent, priceData, costPrice);
+        if (!thresholds) return null;
+
+        const session = new NegotiationSession(thresholds, priceData.product);
+        session.open(thresholds.acceptPrice);
+        return session;
+    }
+
+    recordCustomerOffer(session, intent) {
+        const evaluation = this.evaluateOfferAgainstRules(intent, {
+            unit: session.unit,
+            quantity: session.quantity,
+            acceptPrice: session.acceptPrice,
+            floorPrice: session.floorPrice,
+            costPrice: session.costPrice
+        });
+        return evaluation ? session.recordCustomerOffer(evaluation.offeredUnitPrice) : null;
     }
 
-    async generateGuidance(intent, priceData, originalText) {
-        try {
-            const customerAnalysis = this.analyzeCustomer(intent, originalText);
-            const counterOffers = this.generateCounterOffers(intent, priceData);
-            
-            return {
-                customerAnalysis,
-                counterOffers,
-                tactics: {
-                    primary: this.strategies[intent.type] || this.strategies.casual_inquiry,
-                    secondary: ['build_rapport'],
-                    avoid: ['aggressive_pressure']
-                },
-                valuePropositions: [{
-                    type: 'quality',
-                    message: 'Fresh, high-quality products',
-                    reasoning: 'Quality differentiation'
-                }],
-                decisions: {
-                    accept: { conditions: ['Fair price offered'], reasoning: ['Within market range'] },
-                    counter: { conditions: ['Below market rate'], reasoning: ['Room for negotiation'] },
-                    decline: { conditions: ['Too low'], reasoning: ['Below cost price'] }
-                },
-                culturalContext: {
-                    customary: ['Maintain respectful dialogue', 'Allow time for consideration'],
-                    communicationStyle: 'respectful_and_patient'
-                },
-                confidence: this.calculateConfidence(intent, priceData),
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            console.error('Error generating negotiation guidance:', error);
-            return this.createFallbackGuidance(intent);
+    recommendNextStep(session) {
+        const vendorPrice = session.getLastPrice('vendor');
+        const customerPrices = session.getPrices('customer');
+        const customerPrice = customerPrices.length > 0 ? customerPrices[customerPrices.length - 1] : null;
+        const step = {
+            round: session.getRound(),
+            unit: session.unit,
+            floorPrice: session.floorPrice,
+            vendorPrice,
+            customerPrice
+        };
+
+        if (customerPrice === null) {
+            return { ...step, action: 'hold', price: vendorPrice, concession: 0 };
+        }
+        if (customerPrice >= vendorPrice || customerPrice >= session.acceptPrice) {
+            return { ...step, action: 'accept', price: customerPrice, concession: 0 };
+        }
+        // An offer below the floor earns no concession, however far the vendor still is from the floor
+        if (customerPrice < session.floorPrice) {
+            return vendorPrice <= session.floorPrice
+                ? { ...step, action: 'walk_away', price: session.floorPrice, concession: 0 }
+                : { ...step, action: 'decline', price: vendorPrice, concession: 0 };
+        }
+        if (vendorPrice <= session.floorPrice) {
+            return { ...step, action: 'accept', price: customerPrice, concession: 0 };
         }
-    }
 
-    analyzeCustomer(intent, originalText) {
+        // Hold once when the customer does not move; holding twice in a row would stall the deal
+        const previousCustomerPrice = customerPrices[customerPrices.length - 2];
+        const vendorPrices = session.getPrices('vendor');
+        const heldLastRound = vendorPrices.length > 1 && vendorPrices[vendorPrices.length - 2] === vendorPrice;
+        if (previousCustomerPrice !== undefined && customerPrice <= previousCustomerPrice && !heldLastRound) {
+            return { ...step, action: 'hold', price: vendorPrice, concession: 0 };
+        }
+
+        // Measured against the floor, not the customer's offer, so a lowball cannot drag the price down faster
+        const share = this.concessionShares[Math.min(step.round, this.concessionShares.length) - 1];
+        const concession = Math.max(1, Math.round((vendorPrice - session.floorPrice) * share));
+        const price = Math.max(session.floorPrice, vendorPrice - concession);
+
+        if (price <= customerPrice) {
+            return { ...step, action: 'accept', price: customerPrice, concession: 0 };
+        }
         return {
-            priceAwareness: 'moderate',
-            urgency: 'normal',
-            flexibility: intent.type === 'bulk_purchase' ? 'high' : 'moderate',
-            signals: [intent.type]
+            ...step,
+            action: price === session.floorPrice ? 'final_offer' : 'counter',
+            price,
+            concession: vendorPrice - price
         };
     }
 
-    generateCounterOffers(intent, priceData) {
-        if (!priceData || !priceData.marketPrice) {
-            return [{
-                level: 'standard',
-                price: null,
-                message: 'Let me check current market prices',
-                reasoning: ['Price data not available'],
-                recommended: true
-            }];
+    applySessionStep(session, step) {
+        switch (step.action) {
+            case 'counter':
+            case 'final_offer':
+                return session.recordVendorCounter(step.price);
+            case 'hold':
+            case 'decline':
+                return session.canApply('vendor_counter') ? session.recordVendorCounter(step.price) : null;
+            case 'accept':
+                return session.agree(step.price);
+            case 'walk_away':
+                return session.end();
+            default:
+                return null;
         }
+    }
 
-        const basePrice = priceData.marketPrice;
-        const offers = [];
+    createOfferResponse(evaluation) {
+        const { decision, unit, quantity, counterPrice, counterTotal } = evaluation;
+        const totalText = counterTotal ? ` (₹${counterTotal} for ${quantity} ${unit})` : '';
+        const messages = {
+            accept: `Accept ₹${counterPrice} per ${unit}${totalText}`,
+            counter: `Counter with ₹${counterPrice} per ${unit}${totalText}`,
+            decline: `Decline politely; lowest fair price is ₹${counterPrice} per ${unit}${totalText}`
+        };
 
-        if (intent.type === 'bulk_purchase') {
-            offers.push({
-                level: 'bulk',
-                price: Math.round(basePrice * 0.9),
-                message: `Bulk pricing: ₹${Math.round(basePrice * 0.9)} per ${priceData.unit}`,
-                reasoning: ['Volume discount'],
-                recommended: true
-            });
-        }
+        return {
+            level: decision,
+            price: counterPrice,
+            unit,
+            quantity,
+            total: counterTotal,
+            message: messages[decision],
+            reasoning: [`Customer offered ₹${evaluation.offeredUnitPrice} per ${unit}`],
+            recommended: true
+        };
+    }
 
-        offers.push({
-            level: 'standard',
-            price: basePrice,
-            message: `Market rate: ₹${basePrice} per ${priceData.unit}`,
-            reasoning: ['Standard pricing'],
-            recommended: offers.length === 0
-        });
+    buildDecisions(thresholds, evaluation) {
+        if (!thresholds) {
+            return {
+                accept: { conditions: ['Fair price offered'], reasoning: ['Within market range'] },
+                counter: { conditions: ['Below market rate'], reasoning: ['Room for negotiation'] },
+                decline: { conditions: ['Too low'], reasoning: ['Below cost price'] }
+            };
+        }
 
-        return offers;
+        const { unit, acceptPrice, floorPrice, bulkApplied, costPrice, costFloor, margin } = thresholds;
+        return {
+            recommended: evaluation ? evaluation.decision : null,
+            accept: {
+                conditions: [`Offer of ₹${acceptPrice} per ${unit} or more`],
+                reasoning: [bulkApplied ? 'At or above the bulk rate for this quantity' : 'At or above the market rate']
+            },
+            counter: {
+                conditions: [`Offer from ₹${floorPrice} up to ₹${acceptPrice} per ${unit}`],
+                reasoning: ['Inside the fair range, meet the customer in the middle']
+            },
+            decline: {
+                conditions: [`Offer below ₹${floorPrice} per ${unit}`],
+                reasoning: [costFloor === floorPrice
+                    ? `Below your cost of ₹${costPrice} per ${unit} plus ${Math.round(margin * 100)}% margin`
+                    : 'Below the lowest fair price for this product']
+            }
+        };
     }
 
     calculateConfidence(intent, priceData) {
@@ -462,7 +3278,9 @@ class NegotiationAssistant {
 }
 
 class ResponseGenerator {
-    constructor() {
+    constructor(translationEngine = new TranslationEngine()) {
+        this.translationEngine = translationEngine;
+        this.nameLanguages = { 'en-US': 'english', 'hi-IN': 'hindi', 'kn-IN': 'kannada', 'ta-IN': 'tamil' };
         this.responseTemplates = {
             'en-US': {
                 price_guidance: {
@@ -475,10 +3293,88 @@ class ResponseGenerator {
                     accept_offer: "This is a fair price at ₹{price} per {unit}. {reasoning}",
                     decline_offer: "This price is too low. {reasoning}"
                 },
+                offer_reasoning: {
+                    accept: "The customer's offer of ₹{offer} per {unit} is at or above your fair rate of ₹{target}.",
+                    counter: "The customer offered ₹{offer} per {unit}; your fair rate is ₹{target}.",
+                    decline: "The customer offered ₹{offer} per {unit}; do not go below ₹{floor}."
+                },
                 cultural_guidance: {
                     respectful: "Remember to be respectful during negotiations.",
                     flexible: "You have room for negotiation with this product.",
                     firm: "Maintain your price - this is fair."
+                },
+                regional_guidance: {
+                    direct: "Give a quick, clear price.",
+                    'relationship-based': "Take time to chat; regular customers matter most here.",
+                    competitive: "Nearby stalls sell the same, so keep your rate competitive."
+                },
+                quality_guidance: {
+                    bands: "{product} by grade: {bands} per {unit}."
+                },
+                market_conditions: {
+                    highDemand: "Demand is high today, so prices are firm.",
+                    lowDemand: "The market is slow today, so there is more room to bargain.",
+                    festivalSeason: "It is festival season, so prices are higher than usual.",
+                    festival_named: "{festival} is close, so prices are higher than usual.",
+                    weatherImpact: "Weather has cut supply, so prices are up."
+                },
+                seasonal_guidance: {
+                    higher: "It is {season} for {product}, so prices are about {percent}% above normal.",
+                    lower: "It is {season} for {product}, so prices are about {percent}% below normal.",
+                    peak: "peak season",
+                    low: "off-season"
+                },
+                session_step: {
+                    opening: "Start at ₹{price} per {unit}.",
+                    hold: "Hold at ₹{price} per {unit}; the customer has not raised their offer.",
+                    decline: "₹{offer} per {unit} is below your floor of ₹{floor}; decline it and stay at ₹{price}.",
+                    counter: "Round {round}: come down to ₹{price} per {unit}, ₹{concession} less than before.",
+                    final_offer: "Offer ₹{price} per {unit} as your last price; that is your floor.",
+                    accept: "Close the deal at ₹{price} per {unit}.",
+                    walk_away: "The customer is still below your floor of ₹{floor} per {unit}; it is fine to let this sale go."
+                },
+                tactic_advice: {
+                    demand_firm: "Demand is high today; hold at ₹{price} per {unit}, other buyers will pay it.",
+                    festival_regular_goodwill: "It is festival season; keep ₹{price} per {unit} and give regular customers a little extra instead of a discount.",
+                    weather_supply_hold: "Weather has cut supply; ₹{price} per {unit} is fair, explain the shortage.",
+                    slow_market_flexible: "The market is slow today; you can come down to ₹{price} per {unit} to keep sales moving.",
+                    scarce_supply_hold: "{product} is scarce this season, so hold at ₹{price} per {unit} and do not discount.",
+                    urgent_buyer_firm: "The customer is in a hurry; keep ₹{price} per {unit} and pack quickly instead of discounting.",
+                    bulk_tier_rate: "Quote the bulk rate of ₹{price} per {unit} for this quantity.",
+                    perishable_clearance: "{product} will not keep long; come down to ₹{price} per {unit} to clear today's stock.",
+                    glut_volume_discount: "There is plenty of {product} this season; offer ₹{price} per {unit} to move more stock.",
+                    glut_repeat_discount: "{product} is plentiful now; a small discount to ₹{price} per {unit} wins repeat customers.",
+                    staple_quality_focus: "{product} prices are steady; stay at ₹{price} per {unit} and talk about quality.",
+                    quality_premium: "Show your best {product} and ask ₹{price} per {unit} for it.",
+                    flexible_meet_halfway: "There is room on {product}; you can settle at ₹{price} per {unit}.",
+                    patient_buyer_sweetener: "The customer is comparing shops; ₹{price} per {unit} can close the sale now.",
+                    relationship_goodwill: "Regular customers matter most here; give ₹{price} per {unit} and ask them to come again.",
+                    competitive_match: "Other stalls sell {product} nearby; match at ₹{price} per {unit} before the customer moves on.",
+                    direct_fixed_price: "City customers expect one clear price; quote ₹{price} per {unit} and stay with it.",
+                    market_rate: "Quote the market rate of ₹{price} per {unit}."
+                },
+                customer_phrase: {
+                    say: "Tell the customer: \"{phrase}\""
+                },
+                cost_guidance: {
+                    floor: "You paid ₹{cost} per {unit}; with your {margin}% margin, do not go below ₹{floor}.",
+                    profit: "At ₹{price} you make ₹{profit} per {unit}."
+                },
+                bill: {
+                    line: "{quantity} {unit} {product} ₹{total}",
+                    line_assumed: "{quantity} {unit} {product} (amount assumed, please confirm) ₹{total}",
+                    total: "Total ₹{total}.",
+                    package: "Offer ₹{package} for everything."
+                },
+                clarification: {
+                    intent: "Is the customer asking the price, bargaining, or buying in bulk?",
+                    product: "Which product is the customer asking about?",
+                    product_options: "Which product did the customer mean: {options}?"
+                },
+                intent_guidance: {
+                    quality_inquiry: "Let the customer see and pick the {product} themselves.",
+                    complaint: "Apologise to the customer and offer to replace the {product}.",
+                    return_exchange: "Check the {product} and offer an exchange or refund if it is spoiled."
                 }
             },
             'hi-IN': {
@@ -492,10 +3388,88 @@ class ResponseGenerator {
                     accept_offer: "₹{price} प्रति {unit} में अच्छा डील है। {reasoning}",
                     decline_offer: "यह प्राइस कम है। {reasoning}"
                 },
+                offer_reasoning: {
+                    accept: "ग्राहक का ₹{offer} प्रति {unit} का ऑफर उचित रेट ₹{target} या उससे ज़्यादा है।",
+                    counter: "ग्राहक ने ₹{offer} प्रति {unit} बोला है; उचित रेट ₹{target} है।",
+                    decline: "ग्राहक ने ₹{offer} प्रति {unit} बोला है; ₹{floor} से कम मत दीजिए।"
+                },
                 cultural_guidance: {
                     respectful: "बातचीत में सम्मान रखिए।",
                     flexible: "इस प्रोडक्ट में बातचीत हो सकती है।",
                     firm: "अपना प्राइस बनाए रखिए - यह उचित है।"
+                },
+                regional_guidance: {
+                    direct: "जल्दी और साफ़ दाम बताइए।",
+                    'relationship-based': "आराम से बात कीजिए; यहाँ पक्के ग्राहक सबसे ज़रूरी हैं।",
+                    competitive: "पास की दुकानें भी यही बेचती हैं, इसलिए रेट मुकाबले का रखिए।"
+                },
+                quality_guidance: {
+                    bands: "{product} ग्रेड के हिसाब से: {bands} प्रति {unit}।"
+                },
+                market_conditions: {
+                    highDemand: "आज मांग ज़्यादा है, इसलिए दाम पक्के हैं।",
+                    lowDemand: "आज बाज़ार धीमा है, इसलिए मोलभाव की गुंजाइश ज़्यादा है।",
+                    festivalSeason: "त्योहार का मौसम है, इसलिए दाम सामान्य से ज़्यादा हैं।",
+                    festival_named: "{festival} पास है, इसलिए दाम सामान्य से ज़्यादा हैं।",
+                    weatherImpact: "मौसम से माल कम आया है, इसलिए दाम बढ़े हैं।"
+                },
+                seasonal_guidance: {
+                    higher: "{product} का {season} चल रहा है, इसलिए दाम सामान्य से लगभग {percent}% ज़्यादा हैं।",
+                    lower: "{product} का {season} चल रहा है, इसलिए दाम सामान्य से लगभग {percent}% कम हैं।",
+                    peak: "सीज़न",
+                    low: "ऑफ-सीज़न"
+                },
+                session_step: {
+                    opening: "₹{price} प्रति {unit} से शुरू कीजिए।",
+                    hold: "₹{price} प्रति {unit} पर टिके रहिए; ग्राहक ने अपना ऑफर नहीं बढ़ाया।",
+                    decline: "₹{offer} प्रति {unit} आपके न्यूनतम दाम ₹{floor} से कम है; मना कीजिए और ₹{price} पर टिके रहिए।",
+                    counter: "राउंड {round}: ₹{price} प्रति {unit} पर आइए, पहले से ₹{concession} कम।",
+                    final_offer: "₹{price} प्रति {unit} आखिरी दाम बताइए; इससे नीचे नहीं।",
+                    accept: "₹{price} प्रति {unit} पर सौदा पक्का कीजिए।",
+                    walk_away: "ग्राहक अब भी ₹{floor} प्रति {unit} से नीचे है; यह बिक्री छोड़ सकते हैं।"
+                },
+                tactic_advice: {
+                    demand_firm: "आज मांग ज़्यादा है; ₹{price} प्रति {unit} पर टिके रहिए, दूसरे ग्राहक यह देंगे।",
+                    festival_regular_goodwill: "त्योहार का समय है; ₹{price} प्रति {unit} रखिए और पक्के ग्राहकों को छूट की जगह थोड़ा ज़्यादा दीजिए।",
+                    weather_supply_hold: "मौसम से माल कम आया है; ₹{price} प्रति {unit} उचित है, कमी के बारे में बताइए।",
+                    slow_market_flexible: "आज बाज़ार धीमा है; बिक्री चलती रहे इसके लिए ₹{price} प्रति {unit} तक आ सकते हैं।",
+                    scarce_supply_hold: "इस मौसम में {product} कम आ रहा है, ₹{price} प्रति {unit} पर टिके रहिए, छूट मत दीजिए।",
+                    urgent_buyer_firm: "ग्राहक जल्दी में है; ₹{price} प्रति {unit} रखिए और छूट की जगह जल्दी पैक कीजिए।",
+                    bulk_tier_rate: "इतनी मात्रा के लिए थोक रेट ₹{price} प्रति {unit} बताइए।",
+                    perishable_clearance: "{product} ज़्यादा दिन नहीं टिकेगा; आज का माल निकालने के लिए ₹{price} प्रति {unit} तक आइए।",
+                    glut_volume_discount: "इस मौसम में {product} खूब है; ज़्यादा माल बेचने के लिए ₹{price} प्रति {unit} ऑफर कीजिए।",
+                    glut_repeat_discount: "अभी {product} खूब है; ₹{price} प्रति {unit} की छोटी छूट से ग्राहक दोबारा आएगा।",
+                    staple_quality_focus: "{product} का दाम स्थिर है; ₹{price} प्रति {unit} पर रहिए और क्वालिटी की बात कीजिए।",
+                    quality_premium: "सबसे अच्छा {product} दिखाइए और उसके लिए ₹{price} प्रति {unit} मांगिए।",
+                    flexible_meet_halfway: "{product} में गुंजाइश है; ₹{price} प्रति {unit} पर सौदा कर सकते हैं।",
+                    patient_buyer_sweetener: "ग्राहक दुकानें देख रहा है; ₹{price} प्रति {unit} पर अभी बिक्री पक्की हो सकती है।",
+                    relationship_goodwill: "यहाँ पक्के ग्राहक सबसे ज़रूरी हैं; ₹{price} प्रति {unit} दीजिए और फिर आने को कहिए।",
+                    competitive_match: "पास की दुकानों में भी {product} है; ग्राहक आगे बढ़े उससे पहले ₹{price} प्रति {unit} पर बराबरी कीजिए।",
+                    direct_fixed_price: "शहर के ग्राहक एक साफ़ दाम चाहते हैं; ₹{price} प्रति {unit} बताइए और उसी पर रहिए।",
+                    market_rate: "बाज़ार रेट ₹{price} प्रति {unit} बताइए।"
+                },
+                customer_phrase: {
+                    say: "ग्राहक से कहिए: \"{phrase}\""
+                },
+                cost_guidance: {
+                    floor: "आपकी लागत ₹{cost} प्रति {unit} है; {margin}% मुनाफ़े के साथ ₹{floor} से कम न करें।",
+                    profit: "₹{price} पर आपका मुनाफ़ा ₹{profit} प्रति {unit} है।"
+                },
+                bill: {
+                    line: "{quantity} {unit} {product} ₹{total}",
+                    line_assumed: "{quantity} {unit} {product} (मात्रा अंदाज़े से, पूछ लीजिए) ₹{total}",
+                    total: "कुल ₹{total}।",
+                    package: "पूरा सामान ₹{package} में दे दीजिए।"
+                },
+                clarification: {
+                    intent: "ग्राहक दाम पूछ रहा है, मोलभाव कर रहा है, या थोक में ले रहा है?",
+                    product: "ग्राहक किस सामान के बारे में पूछ रहा है?",
+                    product_options: "ग्राहक का मतलब कौन सा सामान है: {options}?"
+                },
+                intent_guidance: {
+                    quality_inquiry: "ग्राहक को {product} खुद देखकर चुनने दीजिए।",
+                    complaint: "ग्राहक से माफ़ी मांगिए और {product} बदलकर देने की बात कीजिए।",
+                    return_exchange: "{product} जांचिए, खराब हो तो बदलिए या पैसे लौटाइए।"
                 }
             },
             'kn-IN': {
@@ -509,10 +3483,88 @@ class ResponseGenerator {
                     accept_offer: "₹{price} ಪ್ರತಿ {unit} ನಲ್ಲಿ ಚೆನ್ನಾಗಿದೆ। {reasoning}",
                     decline_offer: "ಈ ಬೆಲೆ ಕಮ್ಮಿ। {reasoning}"
                 },
+                offer_reasoning: {
+                    accept: "ಗ್ರಾಹಕರ ₹{offer} ಪ್ರತಿ {unit} ಆಫರ್ ನಿಮ್ಮ ನ್ಯಾಯಯುತ ದರ ₹{target} ಗೆ ಸರಿಯಾಗಿದೆ।",
+                    counter: "ಗ್ರಾಹಕರು ₹{offer} ಪ್ರತಿ {unit} ಕೇಳಿದ್ದಾರೆ; ನ್ಯಾಯಯುತ ದರ ₹{target}।",
+                    decline: "ಗ್ರಾಹಕರು ₹{offer} ಪ್ರತಿ {unit} ಕೇಳಿದ್ದಾರೆ; ₹{floor} ಕ್ಕಿಂತ ಕಡಿಮೆ ಕೊಡಬೇಡಿ।"
+                },
                 cultural_guidance: {
                     respectful: "ಮಾತುಕತೆಯಲ್ಲಿ ಗೌರವ ಇಟ್ಟುಕೊಳ್ಳಿ।",
                     flexible: "ಈ ಉತ್ಪಾದನೆಯಲ್ಲಿ ಮಾತುಕತೆ ಮಾಡಬಹುದು।",
                     firm: "ನಿಮ್ಮ ಬೆಲೆ ಕಾಪಾಡಿ - ಇದು ನ್ಯಾಯಯುತ।"
+                },
+                regional_guidance: {
+                    direct: "ಬೇಗ, ಸ್ಪಷ್ಟವಾಗಿ ಬೆಲೆ ಹೇಳಿ।",
+                    'relationship-based': "ಸಮಾಧಾನವಾಗಿ ಮಾತಾಡಿ; ಇಲ್ಲಿ ಖಾಯಂ ಗ್ರಾಹಕರು ಮುಖ್ಯ।",
+                    competitive: "ಹತ್ತಿರದ ಅಂಗಡಿಗಳೂ ಇದನ್ನೇ ಮಾರುತ್ತವೆ, ಆದ್ದರಿಂದ ಸ್ಪರ್ಧಾತ್ಮಕ ದರ ಇಡಿ।"
+                },
+                quality_guidance: {
+                    bands: "{product} ದರ್ಜೆ ಪ್ರಕಾರ: {bands} ಪ್ರತಿ {unit}।"
+                },
+                market_conditions: {
+                    highDemand: "ಇವತ್ತು ಬೇಡಿಕೆ ಜಾಸ್ತಿ, ಆದ್ದರಿಂದ ಬೆಲೆ ಗಟ್ಟಿ।",
+                    lowDemand: "ಇವತ್ತು ಮಾರುಕಟ್ಟೆ ನಿಧಾನ, ಆದ್ದರಿಂದ ಚೌಕಾಸಿಗೆ ಹೆಚ್ಚು ಅವಕಾಶ।",
+                    festivalSeason: "ಹಬ್ಬದ ಸೀಸನ್, ಆದ್ದರಿಂದ ಬೆಲೆ ಸಾಮಾನ್ಯಕ್ಕಿಂತ ಜಾಸ್ತಿ।",
+                    festival_named: "{festival} ಹತ್ತಿರ ಇದೆ, ಆದ್ದರಿಂದ ಬೆಲೆ ಸಾಮಾನ್ಯಕ್ಕಿಂತ ಜಾಸ್ತಿ।",
+                    weatherImpact: "ಹವಾಮಾನದಿಂದ ಸರಬರಾಜು ಕಡಿಮೆ, ಆದ್ದರಿಂದ ಬೆಲೆ ಏರಿದೆ।"
+                },
+                seasonal_guidance: {
+                    higher: "{product} ಗೆ ಈಗ {season}, ಆದ್ದರಿಂದ ಬೆಲೆ ಸಾಮಾನ್ಯಕ್ಕಿಂತ ಸುಮಾರು {percent}% ಜಾಸ್ತಿ ಇದೆ।",
+                    lower: "{product} ಗೆ ಈಗ {season}, ಆದ್ದರಿಂದ ಬೆಲೆ ಸಾಮಾನ್ಯಕ್ಕಿಂತ ಸುಮಾರು {percent}% ಕಮ್ಮಿ ಇದೆ।",
+                    peak: "ಸೀಸನ್",
+                    low: "ಆಫ್-ಸೀಸನ್"
+                },
+                session_step: {
+                    opening: "₹{price} ಪ್ರತಿ {unit} ಇಂದ ಶುರು ಮಾಡಿ।",
+                    hold: "₹{price} ಪ್ರತಿ {unit} ನಲ್ಲೇ ಇರಿ; ಗ್ರಾಹಕರು ಆಫರ್ ಹೆಚ್ಚಿಸಿಲ್ಲ।",
+                    decline: "₹{offer} ಪ್ರತಿ {unit} ನಿಮ್ಮ ಕನಿಷ್ಠ ಬೆಲೆ ₹{floor} ಕ್ಕಿಂತ ಕಡಿಮೆ; ಬೇಡ ಎನ್ನಿ, ₹{price} ನಲ್ಲೇ ಇರಿ।",
+                    counter: "ಸುತ್ತು {round}: ₹{price} ಪ್ರತಿ {unit} ಗೆ ಇಳಿಯಿರಿ, ಮೊದಲಿಗಿಂತ ₹{concession} ಕಡಿಮೆ।",
+                    final_offer: "₹{price} ಪ್ರತಿ {unit} ಕೊನೆಯ ಬೆಲೆ ಎಂದು ಹೇಳಿ; ಇದಕ್ಕಿಂತ ಕಡಿಮೆ ಬೇಡ।",
+                    accept: "₹{price} ಪ್ರತಿ {unit} ಗೆ ವ್ಯಾಪಾರ ಮುಗಿಸಿ।",
+                    walk_away: "ಗ್ರಾಹಕರು ಇನ್ನೂ ₹{floor} ಪ್ರತಿ {unit} ಕ್ಕಿಂತ ಕಡಿಮೆ ಕೇಳುತ್ತಿದ್ದಾರೆ; ಈ ಮಾರಾಟ ಬಿಡಬಹುದು।"
+                },
+                tactic_advice: {
+                    demand_firm: "ಇವತ್ತು ಬೇಡಿಕೆ ಜಾಸ್ತಿ; ₹{price} ಪ್ರತಿ {unit} ನಲ್ಲೇ ಇರಿ, ಬೇರೆ ಗ್ರಾಹಕರು ಕೊಡುತ್ತಾರೆ।",
+                    festival_regular_goodwill: "ಹಬ್ಬದ ಸಮಯ; ₹{price} ಪ್ರತಿ {unit} ಇಟ್ಟು, ಖಾಯಂ ಗ್ರಾಹಕರಿಗೆ ರಿಯಾಯಿತಿ ಬದಲು ಸ್ವಲ್ಪ ಜಾಸ್ತಿ ಕೊಡಿ।",
+                    weather_supply_hold: "ಹವಾಮಾನದಿಂದ ಸರಬರಾಜು ಕಡಿಮೆ; ₹{price} ಪ್ರತಿ {unit} ನ್ಯಾಯಯುತ, ಕೊರತೆ ಬಗ್ಗೆ ಹೇಳಿ।",
+                    slow_market_flexible: "ಇವತ್ತು ಮಾರುಕಟ್ಟೆ ನಿಧಾನ; ಮಾರಾಟ ನಡೆಯಲು ₹{price} ಪ್ರತಿ {unit} ಗೆ ಇಳಿಯಬಹುದು।",
+                    scarce_supply_hold: "ಈ ಸೀಸನ್‌ನಲ್ಲಿ {product} ಕಡಿಮೆ ಇದೆ, ₹{price} ಪ್ರತಿ {unit} ನಲ್ಲೇ ಇರಿ, ರಿಯಾಯಿತಿ ಕೊಡಬೇಡಿ।",
+                    urgent_buyer_firm: "ಗ್ರಾಹಕರು ಅವಸರದಲ್ಲಿದ್ದಾರೆ; ₹{price} ಪ್ರತಿ {unit} ಇಟ್ಟುಕೊಳ್ಳಿ, ರಿಯಾಯಿತಿ ಬದಲು ಬೇಗ ಪ್ಯಾಕ್ ಮಾಡಿ।",
+                    bulk_tier_rate: "ಈ ಪ್ರಮಾಣಕ್ಕೆ ಸಗಟು ದರ ₹{price} ಪ್ರತಿ {unit} ಹೇಳಿ।",
+                    perishable_clearance: "{product} ಹೆಚ್ಚು ದಿನ ಉಳಿಯುವುದಿಲ್ಲ; ಇಂದಿನ ಸ್ಟಾಕ್ ಮುಗಿಸಲು ₹{price} ಪ್ರತಿ {unit} ಗೆ ಇಳಿಯಿರಿ।",
+                    glut_volume_discount: "ಈ ಸೀಸನ್‌ನಲ್ಲಿ {product} ಸಾಕಷ್ಟಿದೆ; ಹೆಚ್ಚು ಮಾರಲು ₹{price} ಪ್ರತಿ {unit} ಆಫರ್ ಮಾಡಿ।",
+                    glut_repeat_discount: "ಈಗ {product} ಸಾಕಷ್ಟಿದೆ; ₹{price} ಪ್ರತಿ {unit} ಗೆ ಸ್ವಲ್ಪ ರಿಯಾಯಿತಿ ಕೊಟ್ಟರೆ ಗ್ರಾಹಕರು ಮತ್ತೆ ಬರುತ್ತಾರೆ।",
+                    staple_quality_focus: "{product} ಬೆಲೆ ಸ್ಥಿರವಾಗಿದೆ; ₹{price} ಪ್ರತಿ {unit} ನಲ್ಲೇ ಇದ್ದು ಗುಣಮಟ್ಟದ ಬಗ್ಗೆ ಮಾತಾಡಿ।",
+                    quality_premium: "ನಿಮ್ಮ ಉತ್ತಮ {product} ತೋರಿಸಿ, ಅದಕ್ಕೆ ₹{price} ಪ್ರತಿ {unit} ಕೇಳಿ।",
+                    flexible_meet_halfway: "{product} ನಲ್ಲಿ ಅವಕಾಶ ಇದೆ; ₹{price} ಪ್ರತಿ {unit} ಗೆ ಒಪ್ಪಬಹುದು।",
+                    patient_buyer_sweetener: "ಗ್ರಾಹಕರು ಅಂಗಡಿಗಳನ್ನು ಹೋಲಿಸುತ್ತಿದ್ದಾರೆ; ₹{price} ಪ್ರತಿ {unit} ಗೆ ಈಗಲೇ ಮಾರಾಟ ಮುಗಿಸಬಹುದು।",
+                    relationship_goodwill: "ಇಲ್ಲಿ ಖಾಯಂ ಗ್ರಾಹಕರು ಮುಖ್ಯ; ₹{price} ಪ್ರತಿ {unit} ಕೊಟ್ಟು ಮತ್ತೆ ಬನ್ನಿ ಎಂದು ಹೇಳಿ।",
+                    competitive_match: "ಹತ್ತಿರದ ಅಂಗಡಿಗಳಲ್ಲೂ {product} ಇದೆ; ಗ್ರಾಹಕರು ಮುಂದೆ ಹೋಗುವ ಮೊದಲು ₹{price} ಪ್ರತಿ {unit} ಗೆ ಸರಿಮಾಡಿ।",
+                    direct_fixed_price: "ನಗರದ ಗ್ರಾಹಕರು ಒಂದೇ ಸ್ಪಷ್ಟ ಬೆಲೆ ಬಯಸುತ್ತಾರೆ; ₹{price} ಪ್ರತಿ {unit} ಹೇಳಿ, ಅದರಲ್ಲೇ ಇರಿ।",
+                    market_rate: "ಮಾರುಕಟ್ಟೆ ದರ ₹{price} ಪ್ರತಿ {unit} ಹೇಳಿ।"
+                },
+                customer_phrase: {
+                    say: "ಗ್ರಾಹಕರಿಗೆ ಹೇಳಿ: \"{phrase}\""
+                },
+                cost_guidance: {
+                    floor: "ನೀವು ಪ್ರತಿ {unit} ಗೆ ₹{cost} ಕೊಟ್ಟಿದ್ದೀರಿ; {margin}% ಲಾಭದೊಂದಿಗೆ ₹{floor} ಕ್ಕಿಂತ ಕಡಿಮೆ ಮಾಡಬೇಡಿ।",
+                    profit: "₹{price} ಗೆ ನಿಮ್ಮ ಲಾಭ ಪ್ರತಿ {unit} ₹{profit}।"
+                },
+                bill: {
+                    line: "{quantity} {unit} {product} ₹{total}",
+                    line_assumed: "{quantity} {unit} {product} (ಪ್ರಮಾಣ ಅಂದಾಜು, ಕೇಳಿ ಖಚಿತಪಡಿಸಿ) ₹{total}",
+                    total: "ಒಟ್ಟು ₹{total}।",
+                    package: "ಎಲ್ಲಾ ಸೇರಿ ₹{package} ಗೆ ಕೊಡಿ।"
+                },
+                clarification: {
+                    intent: "ಗ್ರಾಹಕರು ಬೆಲೆ ಕೇಳುತ್ತಿದ್ದಾರಾ, ಚೌಕಾಸಿ ಮಾಡುತ್ತಿದ್ದಾರಾ, ಅಥವಾ ಹೆಚ್ಚು ಪ್ರಮಾಣದಲ್ಲಿ ಕೊಳ್ಳುತ್ತಿದ್ದಾರಾ?",
+                    product: "ಗ್ರಾಹಕರು ಯಾವ ವಸ್ತುವಿನ ಬಗ್ಗೆ ಕೇಳುತ್ತಿದ್ದಾರೆ?",
+                    product_options: "ಗ್ರಾಹಕರು ಯಾವ ವಸ್ತು ಕೇಳಿದರು: {options}?"
+                },
+                intent_guidance: {
+                    quality_inquiry: "ಗ್ರಾಹಕರೇ {product} ನೋಡಿ ಆರಿಸಿಕೊಳ್ಳಲಿ।",
+                    complaint: "ಗ್ರಾಹಕರಲ್ಲಿ ಕ್ಷಮೆ ಕೇಳಿ, {product} ಬದಲಿಸಿ ಕೊಡುವುದಾಗಿ ಹೇಳಿ।",
+                    return_exchange: "{product} ಪರಿಶೀಲಿಸಿ, ಹಾಳಾಗಿದ್ದರೆ ಬದಲಿಸಿ ಅಥವಾ ಹಣ ಹಿಂತಿರುಗಿಸಿ।"
                 }
             },
             'ta-IN': {
@@ -526,10 +3578,88 @@ class ResponseGenerator {
                     accept_offer: "₹{price} ஒரு {unit}க்கு நல்ல விலை। {reasoning}",
                     decline_offer: "இந்த விலை குறைவு। {reasoning}"
                 },
+                offer_reasoning: {
+                    accept: "வாடிக்கையாளரின் ₹{offer} ஒரு {unit}க்கு என்ற விலை உங்கள் நியாய விலை ₹{target}க்கு சமம்.",
+                    counter: "வாடிக்கையாளர் ₹{offer} ஒரு {unit}க்கு கேட்கிறார்; நியாய விலை ₹{target}.",
+                    decline: "வாடிக்கையாளர் ₹{offer} ஒரு {unit}க்கு கேட்கிறார்; ₹{floor}க்கு கீழே கொடுக்க வேண்டாம்."
+                },
                 cultural_guidance: {
                     respectful: "பேச்சுவார்த்தையில் மரியாதை காட்டுங்கள்।",
                     flexible: "இந்த பொருளில் பேச்சுவார்த்தை செய்யலாம்।",
                     firm: "உங்கள் விலையை பராமரியுங்கள் - இது நியாயமானது।"
+                },
+                regional_guidance: {
+                    direct: "விரைவாக, தெளிவாக விலையைச் சொல்லுங்கள்.",
+                    'relationship-based': "நிதானமாக பேசுங்கள்; இங்கே நிரந்தர வாடிக்கையாளர்கள் முக்கியம்.",
+                    competitive: "அருகிலுள்ள கடைகளும் இதையே விற்கின்றன, அதனால் போட்டி விலையில் வையுங்கள்."
+                },
+                quality_guidance: {
+                    bands: "{product} தரம் வாரியாக: ஒரு {unit}க்கு {bands}."
+                },
+                market_conditions: {
+                    highDemand: "இன்று தேவை அதிகம், அதனால் விலை உறுதி.",
+                    lowDemand: "இன்று சந்தை மந்தம், அதனால் பேரம் பேச அதிக இடம் உள்ளது.",
+                    festivalSeason: "பண்டிகை காலம், அதனால் விலை வழக்கத்தை விட அதிகம்.",
+                    festival_named: "{festival} நெருங்குகிறது, அதனால் விலை வழக்கத்தை விட அதிகம்.",
+                    weatherImpact: "வானிலையால் வரத்து குறைவு, அதனால் விலை ஏறியுள்ளது."
+                },
+                seasonal_guidance: {
+                    higher: "{product}க்கு இப்போது {season}, அதனால் விலை வழக்கத்தை விட சுமார் {percent}% அதிகம்.",
+                    lower: "{product}க்கு இப்போது {season}, அதனால் விலை வழக்கத்தை விட சுமார் {percent}% குறைவு.",
+                    peak: "சீசன்",
+                    low: "சீசன் இல்லாத காலம்"
+                },
+                session_step: {
+                    opening: "ஒரு {unit}க்கு ₹{price} என்று தொடங்குங்கள்.",
+                    hold: "ஒரு {unit}க்கு ₹{price} இலேயே இருங்கள்; வாடிக்கையாளர் விலையை உயர்த்தவில்லை.",
+                    decline: "ஒரு {unit}க்கு ₹{offer} உங்கள் குறைந்தபட்ச விலை ₹{floor} க்கு கீழே; மறுத்துவிட்டு ₹{price} இலேயே இருங்கள்.",
+                    counter: "சுற்று {round}: ஒரு {unit}க்கு ₹{price} க்கு இறங்குங்கள், முன்பை விட ₹{concession} குறைவு.",
+                    final_offer: "ஒரு {unit}க்கு ₹{price} கடைசி விலை என்று சொல்லுங்கள்; இதற்கு கீழே வேண்டாம்.",
+                    accept: "ஒரு {unit}க்கு ₹{price} க்கு வியாபாரத்தை முடியுங்கள்.",
+                    walk_away: "வாடிக்கையாளர் இன்னும் ஒரு {unit}க்கு ₹{floor} க்கு கீழே இருக்கிறார்; இந்த விற்பனையை விட்டுவிடலாம்."
+                },
+                tactic_advice: {
+                    demand_firm: "இன்று தேவை அதிகம்; ஒரு {unit}க்கு ₹{price} இலேயே இருங்கள், மற்ற வாடிக்கையாளர்கள் கொடுப்பார்கள்.",
+                    festival_regular_goodwill: "பண்டிகை காலம்; ஒரு {unit}க்கு ₹{price} வைத்து, நிரந்தர வாடிக்கையாளர்களுக்கு தள்ளுபடிக்குப் பதில் கொஞ்சம் கூடுதலாக கொடுங்கள்.",
+                    weather_supply_hold: "வானிலையால் வரத்து குறைவு; ஒரு {unit}க்கு ₹{price} நியாயம், தட்டுப்பாட்டை விளக்குங்கள்.",
+                    slow_market_flexible: "இன்று சந்தை மந்தம்; விற்பனை நடக்க ஒரு {unit}க்கு ₹{price} க்கு இறங்கலாம்.",
+                    scarce_supply_hold: "இந்த பருவத்தில் {product} வரத்து குறைவு, ஒரு {unit}க்கு ₹{price} இலேயே இருங்கள், தள்ளுபடி வேண்டாம்.",
+                    urgent_buyer_firm: "வாடிக்கையாளர் அவசரத்தில் இருக்கிறார்; ஒரு {unit}க்கு ₹{price} வைத்து, தள்ளுபடிக்குப் பதில் விரைவாக கட்டிக் கொடுங்கள்.",
+                    bulk_tier_rate: "இந்த அளவுக்கு மொத்த விலை ஒரு {unit}க்கு ₹{price} என்று சொல்லுங்கள்.",
+                    perishable_clearance: "{product} நீண்ட நாள் தாங்காது; இன்றைய சரக்கை விற்க ஒரு {unit}க்கு ₹{price} க்கு இறங்குங்கள்.",
+                    glut_volume_discount: "இந்த பருவத்தில் {product} நிறைய உள்ளது; அதிகம் விற்க ஒரு {unit}க்கு ₹{price} வழங்குங்கள்.",
+                    glut_repeat_discount: "இப்போது {product} நிறைய உள்ளது; ஒரு {unit}க்கு ₹{price} என்ற சிறு தள்ளுபடி வாடிக்கையாளரை மீண்டும் வரவைக்கும்.",
+                    staple_quality_focus: "{product} விலை நிலையாக உள்ளது; ஒரு {unit}க்கு ₹{price} இலேயே இருந்து தரத்தைப் பற்றி பேசுங்கள்.",
+                    quality_premium: "உங்கள் சிறந்த {product} காட்டி, ஒரு {unit}க்கு ₹{price} கேளுங்கள்.",
+                    flexible_meet_halfway: "{product}இல் இடம் உள்ளது; ஒரு {unit}க்கு ₹{price} க்கு முடிக்கலாம்.",
+                    patient_buyer_sweetener: "வாடிக்கையாளர் கடைகளை ஒப்பிடுகிறார்; ஒரு {unit}க்கு ₹{price} இல் இப்போதே விற்பனையை முடிக்கலாம்.",
+                    relationship_goodwill: "இங்கே நிரந்தர வாடிக்கையாளர்கள் முக்கியம்; ஒரு {unit}க்கு ₹{price} கொடுத்து மீண்டும் வரச் சொல்லுங்கள்.",
+                    competitive_match: "அருகிலுள்ள கடைகளிலும் {product} உள்ளது; வாடிக்கையாளர் நகரும் முன் ஒரு {unit}க்கு ₹{price} க்கு சமன் செய்யுங்கள்.",
+                    direct_fixed_price: "நகர வாடிக்கையாளர்கள் ஒரே தெளிவான விலையை எதிர்பார்க்கிறார்கள்; ஒரு {unit}க்கு ₹{price} சொல்லி அதிலேயே இருங்கள்.",
+                    market_rate: "சந்தை விலை ஒரு {unit}க்கு ₹{price} என்று சொல்லுங்கள்."
+                },
+                customer_phrase: {
+                    say: "வாடிக்கையாளரிடம் சொல்லுங்கள்: \"{phrase}\""
+                },
+                cost_guidance: {
+                    floor: "நீங்கள் ஒரு {unit}க்கு ₹{cost} கொடுத்தீர்கள்; {margin}% லாபத்துடன் ₹{floor}க்கு கீழே குறைக்க வேண்டாம்.",
+                    profit: "₹{price}க்கு உங்கள் லாபம் ஒரு {unit}க்கு ₹{profit}."
+                },
+                bill: {
+                    line: "{quantity} {unit} {product} ₹{total}",
+                    line_assumed: "{quantity} {unit} {product} (அளவு ஊகம், கேட்டு உறுதிசெய்யுங்கள்) ₹{total}",
+                    total: "மொத்தம் ₹{total}.",
+                    package: "எல்லாம் சேர்த்து ₹{package}க்கு கொடுங்கள்."
+                },
+                clarification: {
+                    intent: "வாடிக்கையாளர் விலை கேட்கிறாரா, பேரம் பேசுகிறாரா, அல்லது மொத்தமாக வாங்குகிறாரா?",
+                    product: "வாடிக்கையாளர் எந்த பொருளைப் பற்றி கேட்கிறார்?",
+                    product_options: "வாடிக்கையாளர் எந்த பொருளைக் கேட்டார்: {options}?"
+                },
+                intent_guidance: {
+                    quality_inquiry: "வாடிக்கையாளரே {product} பார்த்து தேர்ந்தெடுக்கட்டும்.",
+                    complaint: "வாடிக்கையாளரிடம் மன்னிப்பு கேட்டு {product} மாற்றித் தருவதாக சொல்லுங்கள்.",
+                    return_exchange: "{product} சரிபார்த்து, கெட்டுப்போயிருந்தால் மாற்றுங்கள் அல்லது பணத்தை திருப்பித் தாருங்கள்."
                 }
             }
         };
@@ -537,21 +3667,52 @@ class ResponseGenerator {
 
     async formatResponse(data, language) {
         try {
-            const { intent, priceData, negotiationGuidance } = data;
+            const { intent, priceData, negotiationGuidance, customerPhrase, bill } = data;
             const responseLanguage = language || 'en-US';
             
             const templates = this.responseTemplates[responseLanguage] || this.responseTemplates['en-US'];
             
-            const primaryResponse = this.generatePrimaryResponse(intent, priceData, templates);
-            const negotiationResponse = this.generateNegotiationResponse(negotiationGuidance, templates);
+            if (intent && intent.clarification) {
+                return {
+                    text: this.generateClarificationResponse(intent.clarification, templates),
+                    language: responseLanguage,
+                    actionable: false,
+                    clarification: true,
+                    fallback: false,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            if (bill) {
+                return {
+                    text: this.generateBillResponse(bill, templates, responseLanguage),
+                    language: responseLanguage,
+                    bill,
+                    actionable: true,
+                    fallback: false,
+                    timestamp: new Date().toISOString()
+                };
+            }
+            
+            const intentResponse = this.generateIntentResponse(intent, templates, responseLanguage);
+            const primaryResponse = priceData || !intentResponse
+                ? this.generatePrimaryResponse(intent, priceData, templates, responseLanguage)
+                : '';
+            const qualityResponse = this.generateQualityResponse(intent, priceData, templates, responseLanguage);
+            const seasonalResponse = this.generateSeasonalResponse(priceData, templates, responseLanguage);
+            const conditionResponse = this.generateMarketConditionResponse(priceData, templates);
+            const negotiationResponse = this.generateNegotiationResponse(negotiationGuidance, templates, responseLanguage);
+            const costResponse = this.generateCostResponse(negotiationGuidance, templates, responseLanguage);
+            const phraseResponse = this.generateCustomerPhraseResponse(customerPhrase, templates);
             
-            const combinedResponse = [primaryResponse, negotiationResponse]
+            const combinedResponse = [intentResponse, primaryResponse, qualityResponse, seasonalResponse, conditionResponse, negotiationResponse, costResponse, phraseResponse]
                 .filter(r => r && r.trim().length > 0)
                 .join(' ');
             
             return {
                 text: combinedResponse || 'I can help you with pricing information.',
                 language: responseLanguage,
+                customerPhrase: customerPhrase || null,
                 actionable: true,
                 fallback: false,
                 timestamp: new Date().toISOString()
@@ -562,56 +3723,166 @@ class ResponseGenerator {
         }
     }
 
-    generatePrimaryResponse(intent, priceData, templates) {
+    generateBillResponse(bill, templates, language) {
+        const lines = bill.lines.map(line => this.fillTemplate(line.quantityAssumed ? templates.bill.line_assumed : templates.bill.line, {
+            quantity: String(line.quantity),
+            unit: this.getUnitName(line.unit, language),
+            product: this.getProductName(line.product, language),
+            total: String(line.lineTotal)
+        }));
+        const parts = [`${lines.join(', ')}.`, this.fillTemplate(templates.bill.total, { total: String(bill.total) })];
+        if (bill.packagePrice !== bill.total) {
+            parts.push(this.fillTemplate(templates.bill.package, { package: String(bill.packagePrice) }));
+        }
+        return parts.join(' ');
+    }
+
+    getProductName(product, language) {
+        return this.translationEngine.getProductName(product, this.nameLanguages[language] || 'english');
+    }
+
+    getUnitName(unit, language) {
+        return this.translationEngine.getUnitName(unit, this.nameLanguages[language] || 'english');
+    }
+
+    generateClarificationResponse(clarification, templates) {
+        if (clarification.reason === 'product' && clarification.options.length > 0) {
+            return this.fillTemplate(templates.clarification.product_options, {
+                options: clarification.options.join(', ')
+            });
+        }
+        return templates.clarification[clarification.reason] || templates.clarification.intent;
+    }
+
+    generateIntentResponse(intent, templates, language) {
+        const template = intent && templates.intent_guidance[intent.type];
+        if (!template) {
+            return '';
+        }
+        return this.fillTemplate(template, {
+            product: intent.product !== 'general item' ? this.getProductName(intent.product, language) : ''
+        });
+    }
+
+    generatePrimaryResponse(intent, priceData, templates, language) {
         if (!priceData) {
             return this.fillTemplate(templates.price_guidance.no_price, {
-                product: intent.product || 'this item',
+                product: intent.product ? this.getProductName(intent.product, language) : 'this item',
                 guidance: templates.cultural_guidance.respectful
             });
         }
 
-        if (priceData.ranges) {
+        // Direct (city) buyers get one clear price instead of a range
+        const style = priceData.region && priceData.region.negotiationStyle;
+        if (priceData.ranges && style !== 'direct') {
             return this.fillTemplate(templates.price_guidance.price_range, {
-                product: priceData.product,
+                product: this.describeProduct(priceData, language),
                 minPrice: priceData.ranges.minimum,
                 maxPrice: priceData.ranges.premium,
-                unit: priceData.unit,
+                unit: this.getUnitName(priceData.unit, language),
                 guidance: this.generatePriceGuidance(priceData, templates)
             });
         } else {
             return this.fillTemplate(templates.price_guidance.with_price, {
-                product: priceData.product,
+                product: this.describeProduct(priceData, language),
                 price: priceData.marketPrice,
-                unit: priceData.unit,
+                unit: this.getUnitName(priceData.unit, language),
                 guidance: this.generatePriceGuidance(priceData, templates)
             });
         }
     }
 
+    describeProduct(priceData, language) {
+        const name = this.getProductName(priceData.product, language);
+        return priceData.qualityTier ? `${priceData.qualityTier.tier} ${name}` : name;
+    }
+
+    // Lists every grade when the customer asks about quality without naming one
+    generateQualityResponse(intent, priceData, templates, language) {
+        const bands = priceData && priceData.qualityBands;
+        if (!intent || intent.type !== 'quality_inquiry' || priceData.qualityTier || !bands || bands.length < 2) {
+            return '';
+        }
+        return this.fillTemplate(templates.quality_guidance.bands, {
+            product: this.getProductName(priceData.product, language),
+            bands: bands.map(band => `${band.tier} ₹${band.marketPrice}`).join(', '),
+            unit: this.getUnitName(priceData.unit, language)
+        });
+    }
+
     generatePriceGuidance(priceData, templates) {
         const flexibility = priceData.negotiation?.flexibility || 'moderate';
+        const regional = priceData.region ? templates.regional_guidance[priceData.region.negotiationStyle] : null;
         
         switch (flexibility) {
             case 'high':
-                return templates.cultural_guidance.flexible;
+                return [templates.cultural_guidance.flexible, regional].filter(Boolean).join(' ');
             case 'low':
-                return templates.cultural_guidance.firm;
+                return [templates.cultural_guidance.firm, regional].filter(Boolean).join(' ');
             default:
-                return templates.cultural_guidance.respectful;
+                return regional || templates.cultural_guidance.respectful;
+        }
+    }
+
+    generateSeasonalResponse(priceData, templates, language) {
+        const season = priceData && priceData.season;
+        if (!season || season.multiplier === 1 || !templates.seasonal_guidance) {
+            return '';
+        }
+
+        const percent = Math.round(Math.abs(season.multiplier - 1) * 100);
+        const template = season.multiplier > 1
+            ? templates.seasonal_guidance.higher
+            : templates.seasonal_guidance.lower;
+
+        return this.fillTemplate(template, {
+            product: this.getProductName(priceData.product, language),
+            season: templates.seasonal_guidance[season.season] || season.season,
+            percent: percent
+        });
+    }
+
+    generateMarketConditionResponse(priceData, templates) {
+        const conditions = priceData && priceData.marketConditions;
+        if (!conditions || conditions.active.length === 0) {
+            return '';
         }
+
+        return conditions.active.map(condition => {
+            if (condition === 'festivalSeason' && conditions.festival) {
+                return this.fillTemplate(templates.market_conditions.festival_named, { festival: conditions.festival.name });
+            }
+            return templates.market_conditions[condition] || '';
+        }).join(' ');
     }
 
-    generateNegotiationResponse(negotiationGuidance, templates) {
+    generateNegotiationResponse(negotiationGuidance, templates, language) {
         if (!negotiationGuidance || !negotiationGuidance.counterOffers || negotiationGuidance.counterOffers.length === 0) {
             return '';
         }
 
+        if (negotiationGuidance.sessionStep) {
+            return this.generateSessionStepResponse(negotiationGuidance.sessionStep, templates, language);
+        }
+
+        if (negotiationGuidance.offerEvaluation) {
+            return this.generateOfferDecisionResponse(negotiationGuidance.offerEvaluation, templates, language);
+        }
+
         const recommendedOffer = negotiationGuidance.counterOffers.find(offer => offer.recommended);
+        const tactic = negotiationGuidance.tactics && negotiationGuidance.tactics.advice
+            ? negotiationGuidance.tactics.advice[0]
+            : null;
+
+        // Bulk offers already carry the tier price and total, so tactics only replace the plain market-rate line
+        if (tactic && recommendedOffer && recommendedOffer.level === 'standard') {
+            return this.generateTacticResponse(tactic, templates, language);
+        }
         
         if (recommendedOffer && recommendedOffer.price) {
             return this.fillTemplate(templates.negotiation_advice.counter_offer, {
                 price: recommendedOffer.price,
-                unit: 'kg',
+                unit: this.getUnitName(recommendedOffer.unit || 'kg', language),
                 reasoning: recommendedOffer.message
             });
         }
@@ -619,6 +3890,98 @@ class ResponseGenerator {
         return '';
     }
 
+    generateTacticResponse(tactic, templates, language) {
+        const template = templates.tactic_advice[tactic.id];
+        if (!template) {
+            return '';
+        }
+        return this.fillTemplate(template, {
+            product: this.getProductName(tactic.product, language),
+            price: tactic.suggestedPrice,
+            unit: this.getUnitName(tactic.unit, language)
+        });
+    }
+
+    describeTactics(negotiationGuidance, language) {
+        const advice = negotiationGuidance && negotiationGuidance.tactics && negotiationGuidance.tactics.advice;
+        if (!advice) return [];
+
+        const templates = this.responseTemplates[language] || this.responseTemplates['en-US'];
+        return advice
+            .map(tactic => this.generateTacticResponse(tactic, templates, language))
+            .filter(text => text.length > 0);
+    }
+
+    generateCostResponse(negotiationGuidance, templates, language) {
+        const basis = negotiationGuidance && negotiationGuidance.costBasis;
+        if (!basis) {
+            return '';
+        }
+
+        const { sessionStep, offerEvaluation, counterOffers } = negotiationGuidance;
+        const recommendedOffer = (counterOffers || []).find(offer => offer.recommended);
+        const price = sessionStep ? sessionStep.price
+            : offerEvaluation ? offerEvaluation.counterPrice
+            : recommendedOffer ? recommendedOffer.price : null;
+
+        const unit = this.getUnitName(basis.unit, language);
+        const floor = this.fillTemplate(templates.cost_guidance.floor, {
+            cost: basis.costPrice,
+            unit,
+            margin: String(Math.round(basis.margin * 100)),
+            floor: basis.floorPrice
+        });
+        if (!price) {
+            return floor;
+        }
+        return `${floor} ${this.fillTemplate(templates.cost_guidance.profit, {
+            price,
+            profit: String(Math.round((price - basis.costPrice) * 100) / 100),
+            unit
+        })}`;
+    }
+
+    generateCustomerPhraseResponse(customerPhrase, templates) {
+        if (!customerPhrase || !customerPhrase.text) {
+            return '';
+        }
+        return this.fillTemplate(templates.customer_phrase.say, { phrase: customerPhrase.text });
+    }
+
+    generateSessionStepResponse(step, templates, language) {
+        const key = step.customerPrice === null ? 'opening' : step.action;
+        return this.fillTemplate(templates.session_step[key], {
+            price: step.price,
+            offer: step.customerPrice,
+            unit: this.getUnitName(step.unit, language),
+            round: step.round,
+            concession: step.concession,
+            floor: step.floorPrice
+        });
+    }
+
+    generateOfferDecisionResponse(evaluation, templates, language) {
+        const { decision } = evaluation;
+        const unit = this.getUnitName(evaluation.unit, language);
+        const reasoning = this.fillTemplate(templates.offer_reasoning[decision], {
+            offer: evaluation.offeredUnitPrice,
+            unit,
+            target: evaluation.acceptPrice,
+            floor: evaluation.floorPrice
+        });
+        const adviceTemplates = {
+            accept: templates.negotiation_advice.accept_offer,
+            counter: templates.negotiation_advice.counter_offer,
+            decline: templates.negotiation_advice.decline_offer
+        };
+
+        return this.fillTemplate(adviceTemplates[decision], {
+            price: evaluation.counterPrice,
+            unit,
+            reasoning
+        });
+    }
+
     fillTemplate(template, variables) {
         let filled = template;
         
@@ -676,6 +4039,7 @@ class ResponseGenerator {
 class PrivacyManager {
     constructor() {
         this.temporaryData = new Map();
+        this.sessionStores = new Set();
     }
 
     validateNoDataPersistence() {
@@ -701,8 +4065,15 @@ class PrivacyManager {
         this.clearTemporaryData();
     }
 
+    // In-memory stores (e.g. a negotiation session) that must outlive a single request but never the session
+    registerSessionStore(store) {
+        this.sessionStores.add(store);
+    }
+
     clearAllData() {
         this.clearTemporaryData();
+        this.sessionStores.forEach(store => store.clear());
+        this.sessionStores.clear();
         console.log('All data cleared for privacy');
     }
 
@@ -747,6 +4118,31 @@ class CulturalContextManager {
             tradingCustoms: [],
             communicationStyle: 'professional'
         };
+        this.phrases = {};
+        this.fallbackLanguage = 'english';
+
+        // Which prices.json culturalFactors phrase fits each negotiation decision
+        this.decisionPhrases = {
+            decline: 'respectfulDecline',
+            walk_away: 'respectfulDecline',
+            final_offer: 'respectfulDecline',
+            counter: 'counterOfferPhrase',
+            hold: 'qualityEmphasis',
+            bulk_tier_rate: 'bulkIncentive',
+            quality_premium: 'qualityEmphasis',
+            staple_quality_focus: 'qualityEmphasis',
+            scarce_supply_hold: 'seasonalHigher',
+            glut_volume_discount: 'seasonalLower',
+            glut_repeat_discount: 'seasonalLower',
+            demand_firm: 'highDemand',
+            slow_market_flexible: 'lowDemand',
+            festival_regular_goodwill: 'festivalSeason',
+            weather_supply_hold: 'weatherImpact'
+        };
+    }
+
+    loadCulturalPhrases(culturalFactors, marketConditions) {
+        this.phrases = { ...(culturalFactors || {}), ...(marketConditions || {}) };
     }
 
     detectCulturalContext(language) {
@@ -770,27 +4166,149 @@ class CulturalContextManager {
         };
     }
 
-    filterResponse(response, language) {
-        return response;
+    // The session step wins over a single offer evaluation, which wins over the leading tactic
+    getNegotiationDecision(negotiationGuidance) {
+        if (!negotiationGuidance) return null;
+        if (negotiationGuidance.sessionStep) return negotiationGuidance.sessionStep.action;
+        if (negotiationGuidance.offerEvaluation) return negotiationGuidance.offerEvaluation.decision;
+
+        const advice = negotiationGuidance.tactics && negotiationGuidance.tactics.advice;
+        return advice && advice.length > 0 ? advice[0].id : null;
+    }
+
+    selectPhrase(negotiationGuidance, language) {
+        const decision = this.getNegotiationDecision(negotiationGuidance);
+        const key = this.decisionPhrases[decision];
+        const phrase = key ? this.phrases[key] : null;
+        if (!phrase) return null;
+
+        const phraseLanguage = phrase[language] ? language : this.fallbackLanguage;
+        if (!phrase[phraseLanguage]) return null;
+
+        return { key, decision, language: phraseLanguage, text: phrase[phraseLanguage] };
+    }
+}
+
+class ConversationManager {
+    constructor(translationEngine) {
+        this.translationEngine = translationEngine;
+        this.supportedLanguages = {
+            'en-US': 'english',
+            'hi-IN': 'hindi',
+            'kn-IN': 'kannada',
+            'ta-IN': 'tamil'
+        };
+        this.parties = {
+            vendor: { language: 'en-US' },
+            customer: { language: 'hi-IN' }
+        };
+        this.turns = [];
+    }
+
+    isSupported(language) {
+        return Object.prototype.hasOwnProperty.call(this.supportedLanguages, language);
+    }
+
+    setLanguage(party, language) {
+        if (!this.parties[party] || !this.isSupported(language)) {
+            return false;
+        }
+        this.parties[party].language = language;
+        return true;
+    }
+
+    getLanguage(party) {
+        return this.parties[party] ? this.parties[party].language : null;
+    }
+
+    getListener(speaker) {
+        return speaker === 'vendor' ? 'customer' : 'vendor';
+    }
+
+    async addTurn(speaker, text) {
+        if (!this.parties[speaker]) {
+            throw new Error(`Unknown conversation party: ${speaker}`);
+        }
+
+        const listener = this.getListener(speaker);
+        const fromLanguage = this.parties[speaker].language;
+        const toLanguage = this.parties[listener].language;
+        const translation = this.translationEngine.translateSegments(
+            text,
+            this.supportedLanguages[fromLanguage],
+            this.supportedLanguages[toLanguage]
+        );
+
+        const turn = {
+            speaker,
+            listener,
+            text,
+            fromLanguage,
+            toLanguage,
+            translatedText: translation.text,
+            spokenText: translation.spokenText,
+            segments: translation.segments,
+            complete: translation.complete,
+            timestamp: new Date().toISOString()
+        };
+        this.turns.push(turn);
+        return turn;
+    }
+
+    getTurns() {
+        return [...this.turns];
+    }
+
+    clear() {
+        this.turns = [];
     }
 }
 
 // Main Application Class
 class LinguisticBridge {
-    constructor() {
-        this.voiceInterface = new VoiceInterface();
+    constructor(options = {}) {
+        this.voiceInterface = new VoiceInterface({ workerScriptUrl: options.recognizerWorkerUrl });
         this.intentClassifier = new IntentClassifier();
+        this.hypothesisRanker = new HypothesisRanker(this.intentClassifier);
         this.translationEngine = new TranslationEngine();
         this.priceDiscoveryEngine = new PriceDiscoveryEngine();
         this.negotiationAssistant = new NegotiationAssistant();
-        this.responseGenerator = new ResponseGenerator();
+        this.responseGenerator = new ResponseGenerator(this.translationEngine);
         this.privacyManager = new PrivacyManager();
         this.accessibilityManager = new AccessibilityManager();
         this.culturalContextManager = new CulturalContextManager();
+        this.conversationManager = new ConversationManager(this.translationEngine);
         
         this.currentLanguage = 'en-US';
         this.isProcessing = false;
         this.lastResponse = null;
+        this.conversationMode = false;
+        this.activeSpeaker = null;
+        this.textComposing = false;
+        this.suggestedLanguage = null;
+        this.languageCodes = {
+            'en-US': 'english',
+            'hi-IN': 'hindi',
+            'kn-IN': 'kannada',
+            'ta-IN': 'tamil',
+            'te-IN': 'telugu',
+            'bn-IN': 'bengali'
+        };
+        this.sessionTracking = false;
+        this.negotiationSession = null;
+        // Kept in memory only, so the region resets with the page like everything else
+        this.region = null;
+        // Today's declared market conditions (true/false per condition); undeclared ones follow the festival calendar
+        this.marketConditions = {};
+        this.conditionLabels = {
+            highDemand: 'busy market',
+            lowDemand: 'slow market',
+            festivalSeason: 'festival season',
+            weatherImpact: 'weather hitting supply'
+        };
+        this.exclusiveConditions = { highDemand: 'lowDemand', lowDemand: 'highDemand' };
+        // What the vendor said they paid per unit, by product; memory only, like the region
+        this.costPrices = {};
         
         this.initializeApplication();
     }
@@ -806,7 +4324,12 @@ class LinguisticBridge {
     initializeUI() {
         this.micButton = document.getElementById('micButton');
         this.languageSelect = document.getElementById('language');
+        this.regionSelect = document.getElementById('region');
         this.listeningIndicator = document.getElementById('listeningIndicator');
+        this.liveTranscript = document.getElementById('liveTranscript');
+        this.textInputForm = document.getElementById('textInputForm');
+        this.textInput = document.getElementById('textInput');
+        this.confidenceIndicator = document.getElementById('confidenceIndicator');
         this.responseSection = document.getElementById('responseSection');
         this.responseText = document.getElementById('responseText');
         this.statusMessage = document.getElementById('statusMessage');
@@ -814,6 +4337,21 @@ class LinguisticBridge {
         this.tutorialButton = document.getElementById('tutorialButton');
         this.tutorialModal = document.getElementById('tutorialModal');
         this.closeTutorial = document.getElementById('closeTutorial');
+        this.voiceCard = document.getElementById('voiceCard');
+        this.conversationButton = document.getElementById('conversationButton');
+        this.conversationSection = document.getElementById('conversationSection');
+        this.sessionButton = document.getElementById('sessionButton');
+        this.sessionInfo = document.getElementById('sessionInfo');
+        this.conditionToggles = document.getElementById('conditionToggles');
+        this.languageSuggestion = document.getElementById('languageSuggestion');
+        this.conversationPanels = {};
+        ['vendor', 'customer'].forEach(party => {
+            this.conversationPanels[party] = {
+                languageSelect: document.getElementById(`${party}Language`),
+                micButton: document.getElementById(`${party}MicButton`),
+                log: document.getElementById(`${party}Log`)
+            };
+        });
 
         if (!this.micButton) {
             console.log('UI elements not found - running in test mode');
@@ -821,6 +4359,7 @@ class LinguisticBridge {
         }
 
         this.setupEventListeners();
+        this.updateConditionToggles();
         this.checkBrowserCompatibility();
     }
 
@@ -833,8 +4372,45 @@ class LinguisticBridge {
         
         if (this.languageSelect) {
             this.languageSelect.addEventListener('change', (e) => {
-                this.currentLanguage = e.target.value;
-                console.log('Language changed to:', this.currentLanguage);
+                this.setLanguage(e.target.value);
+                this.hideLanguageSuggestion();
+            });
+        }
+
+        if (this.languageSuggestion) {
+            this.languageSuggestion.querySelector('.language-suggestion-action').addEventListener('click', () => {
+                if (this.suggestedLanguage) {
+                    this.setLanguage(this.suggestedLanguage);
+                }
+                this.hideLanguageSuggestion();
+            });
+        }
+
+        if (this.textInputForm) {
+            this.textInputForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                // Enter while an Indic keyboard is still composing picks a suggestion; it is not a submit
+                if (!this.textComposing) {
+                    this.handleTextInput();
+                }
+            });
+            this.textInput.addEventListener('compositionstart', () => { this.textComposing = true; });
+            this.textInput.addEventListener('compositionend', () => { this.textComposing = false; });
+        }
+
+        if (this.regionSelect) {
+            this.regionSelect.addEventListener('change', (e) => {
+                this.region = e.target.value || null;
+                console.log('Region changed to:', this.region || 'not set');
+            });
+        }
+        
+        if (this.conditionToggles) {
+            this.conditionToggles.addEventListener('click', (e) => {
+                const toggle = e.target.closest('[data-condition]');
+                if (toggle) {
+                    this.toggleMarketCondition(toggle.dataset.condition);
+                }
             });
         }
         
@@ -854,27 +4430,87 @@ class LinguisticBridge {
             });
         }
 
-        this.voiceInterface.onSpeechResult((result) => this.processVoiceInput(result));
+        if (this.conversationButton) {
+            this.conversationButton.addEventListener('click', () => this.toggleConversationMode());
+        }
+
+        if (this.sessionButton) {
+            this.sessionButton.addEventListener('click', () => this.toggleSessionTracking());
+        }
+
+        if (this.sessionInfo) {
+            this.sessionInfo.addEventListener('click', (e) => {
+                if (e.target.closest('.session-end-button')) {
+                    this.endNegotiationSession();
+                }
+            });
+        }
+
+        Object.entries(this.conversationPanels).forEach(([party, panel]) => {
+            if (panel.languageSelect) {
+                panel.languageSelect.addEventListener('change', (e) => {
+                    this.conversationManager.setLanguage(party, e.target.value);
+                });
+            }
+            if (panel.micButton) {
+                panel.micButton.addEventListener('click', () => this.handleConversationInput(party));
+            }
+        });
+
+        this.voiceInterface.onSpeechResult((result) => {
+            if (this.activeSpeaker) {
+                this.processConversationTurn(result);
+            } else {
+                this.processVoiceInput(result);
+            }
+        });
+        this.voiceInterface.onInterimResult((transcript) => this.updateLiveTranscript(transcript));
+        this.voiceInterface.onConfidence((confidence) => this.updateConfidenceIndicator(confidence));
         this.voiceInterface.onError((error) => this.handleVoiceError(error));
     }
 
     checkBrowserCompatibility() {
-        if (!VoiceInterface.isSupported()) {
-            this.showStatus('Speech recognition not supported. Please use Chrome or Edge.', 'error');
-            if (this.micButton) {
-                this.micButton.disabled = true;
-                this.micButton.style.opacity = '0.5';
-            }
+        const canListen = this.voiceInterface.canListen();
+        if (!canListen) {
+            this.showStatus('Speech recognition is not supported in this browser. Type your question below instead.', 'info');
+        }
+        if (this.micButton) {
+            this.micButton.disabled = !canListen;
+            this.micButton.style.opacity = canListen ? '' : '0.5';
+        }
+    }
+
+    setRecognizerBackend(name) {
+        if (!this.voiceInterface.useBackend(name)) {
+            return false;
         }
+        this.activeSpeaker = null;
+        this.stopListening();
+        this.checkBrowserCompatibility();
+        return true;
     }
 
     async loadPriceData() {
         try {
-            const response = await fetch('./mock_data/prices.json');
+            const response = await fetch('../mock_data/prices.json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} while fetching prices.json`);
+            }
             const priceData = await response.json();
-            this.priceDiscoveryEngine.loadPriceData(priceData);
+            const catalog = this.priceDiscoveryEngine.loadPriceData(priceData);
+            this.intentClassifier.setCatalog(catalog);
+            this.translationEngine.setCatalog(catalog);
+            this.culturalContextManager.loadCulturalPhrases(
+                catalog.negotiationRules.culturalFactors,
+                catalog.negotiationRules.marketConditions
+            );
         } catch (error) {
-            console.warn('Price data not loaded, using fallback pricing');
+            if (error instanceof CatalogSchemaError) {
+                error.issues.forEach(issue => console.error('prices.json:', issue));
+                this.showStatus(`Price catalog has ${error.issues.length} error(s); using approximate prices. See console for details.`, 'error');
+            } else {
+                console.warn('Price data not loaded, using fallback pricing:', error.message);
+            }
         }
     }
 
@@ -903,7 +4539,7 @@ class LinguisticBridge {
             return;
         }
 
-        if (!VoiceInterface.isSupported()) {
+        if (!this.voiceInterface.canListen()) {
             this.showStatus('Speech recognition not supported in this browser. Please use Chrome or Edge.', 'error');
             return;
         }
@@ -916,6 +4552,59 @@ class LinguisticBridge {
         }
     }
 
+    // Typed questions go through the typed-text backend, so they arrive exactly like speech results
+    handleTextInput() {
+        if (this.isProcessing) {
+            this.showStatus('Please wait, processing previous request...', 'info');
+            return false;
+        }
+
+        // Indic keyboards can emit decomposed vowel signs and nuktas; the lexicons are NFC
+        const text = this.textInput ? this.textInput.value.normalize('NFC').trim() : '';
+        if (!text) {
+            return false;
+        }
+
+        if (this.voiceInterface.isListening) {
+            this.voiceInterface.cancelListening();
+        }
+        this.activeSpeaker = null;
+        this.stopListening();
+        this.hideStatus();
+        // A turn that only records a cost or today's market has no answer of its own; the previous one must not linger
+        this.clearResponse();
+
+        const language = this.languageSelect ? this.languageSelect.value : 'en-US';
+        const backend = this.voiceInterface.backend;
+        this.voiceInterface.useBackend('typed');
+        const submitted = this.voiceInterface.submitText(text, language);
+        this.voiceInterface.useBackend(backend);
+
+        // Typed text has no speech clarity to report
+        if (this.confidenceIndicator) {
+            this.confidenceIndicator.classList.add('hidden');
+        }
+        if (submitted) {
+            this.textInput.value = '';
+        }
+        return submitted;
+    }
+
+    focusTextInput() {
+        if (this.textInput) {
+            this.textInput.focus();
+        }
+    }
+
+    clearResponse() {
+        if (this.responseText) {
+            this.responseText.textContent = '';
+        }
+        if (this.responseSection) {
+            this.responseSection.classList.add('hidden');
+        }
+    }
+
     startListening() {
         if (this.responseSection) {
             this.responseSection.classList.add('hidden');
@@ -929,6 +4618,10 @@ class LinguisticBridge {
         if (this.listeningIndicator) {
             this.listeningIndicator.classList.remove('hidden');
         }
+        this.updateLiveTranscript({ committed: '', partial: '' });
+        if (this.confidenceIndicator) {
+            this.confidenceIndicator.classList.add('hidden');
+        }
         
         const selectedLanguage = this.languageSelect ? this.languageSelect.value : 'en-US';
         console.log('Starting recognition with language:', selectedLanguage);
@@ -944,12 +4637,45 @@ class LinguisticBridge {
         if (this.micButton) {
             this.micButton.classList.remove('listening');
         }
+        Object.values(this.conversationPanels || {}).forEach(panel => {
+            if (panel.micButton) {
+                panel.micButton.classList.remove('listening');
+            }
+        });
         if (this.listeningIndicator) {
             this.listeningIndicator.classList.add('hidden');
         }
+        // The committed text stays up so the vendor can see what was heard
+        const interim = this.liveTranscript && this.liveTranscript.querySelector('.transcript-interim');
+        if (interim) {
+            interim.textContent = '';
+        }
         this.hideStatus();
     }
 
+    updateLiveTranscript(transcript) {
+        if (!this.liveTranscript) return;
+
+        this.liveTranscript.querySelector('.transcript-final').textContent = transcript.committed;
+        this.liveTranscript.querySelector('.transcript-interim').textContent = transcript.partial;
+        this.liveTranscript.classList.toggle('hidden', !transcript.committed && !transcript.partial);
+    }
+
+    updateConfidenceIndicator(confidence) {
+        if (!this.confidenceIndicator) return;
+
+        const level = document.getElementById('confidenceLevel');
+        const text = document.getElementById('confidenceText');
+        const label = confidence >= 0.75 ? 'Good' : confidence >= 0.5 ? 'Fair' : 'Poor';
+        if (level) {
+            level.style.width = `${Math.round(confidence * 100)}%`;
+        }
+        if (text) {
+            text.textContent = `Speech clarity: ${label}`;
+        }
+        this.confidenceIndicator.classList.remove('hidden');
+    }
+
     async processVoiceInput(voiceResult) {
         this.stopListening();
         this.isProcessing = true;
@@ -958,40 +4684,88 @@ class LinguisticBridge {
             this.showStatus('Processing your request...', 'info');
             this.privacyManager.clearAudioData();
 
-            const currentLanguage = this.languageSelect ? this.languageSelect.value : 'en-US';
-            console.log('Processing voice input in language:', currentLanguage);
+            const selectedLanguage = this.languageSelect ? this.languageSelect.value : 'en-US';
+            console.log('Processing voice input in language:', selectedLanguage);
 
-            const languageCode = this.getLanguageCode(currentLanguage);
-            const intent = await this.intentClassifier.classifyIntent(
-                voiceResult.text, 
-                languageCode
+            const hypotheses = await this.hypothesisRanker.rank(
+                voiceResult.alternatives || [{ transcript: voiceResult.text, confidence: voiceResult.confidence }],
+                this.getLanguageCode(selectedLanguage)
             );
+            const { transcript } = hypotheses[0];
+            if (transcript !== voiceResult.text) {
+                this.updateLiveTranscript({ committed: transcript, partial: '' });
+            }
+            const { intent, language: currentLanguage } = this.reconcileLanguage(hypotheses[0].intent, selectedLanguage);
+            const languageCode = this.getLanguageCode(currentLanguage);
+            intent.alternatives = hypotheses.map(({ transcript, confidence, score }) => ({ transcript, confidence, score }));
+            if (hypotheses.length > 1) {
+                console.debug('Recognition hypotheses:', intent.alternatives);
+            }
+            this.applySessionProduct(intent);
 
-            let priceData = null;
-            if (intent.type === 'bargaining' || intent.type === 'bulk_purchase') {
-                priceData = await this.priceDiscoveryEngine.getMarketPrice(
-                    intent.product,
-                    intent.category
+            if (intent.marketConditions.length > 0) {
+                this.declareMarketConditions(intent.marketConditions);
+                if (intent.type === 'unclear') {
+                    this.showStatus(`Today's market updated: ${this.describeMarketConditions()}.`, 'info');
+                    return;
+                }
+            }
+
+            if (intent.costPrice) {
+                const cost = await this.recordCostPrice(intent);
+                if (intent.type === 'unclear' && !intent.offeredPrice) {
+                    if (cost) {
+                        this.showStatus(`Cost noted: ₹${cost.costPrice} per ${cost.unit} for ${cost.product}. Offers below ₹${cost.floorPrice} will be refused.`, 'info');
+                    } else {
+                        this.showStatus('Say which product the cost is for, e.g. "maine tamatar 30 mein liya".', 'error');
+                    }
+                    return;
+                }
+            }
+
+            if (intent.lineItems.length > 1) {
+                const bill = await this.priceDiscoveryEngine.calculateBill(
+                    intent.lineItems,
+                    { region: this.region, conditions: this.marketConditions }
+                );
+                const response = await this.responseGenerator.formatResponse(
+                    { intent, bill, originalText: transcript },
+                    currentLanguage
                 );
+                this.displayResponse(response, null, intent, null, bill);
+                this.hideStatus();
+                return;
+            }
+
+            let priceData = null;
+            const needsPrice = ['bargaining', 'bulk_purchase', 'price_inquiry', 'quality_inquiry'].includes(intent.type) || intent.offeredPrice;
+            if (needsPrice && !intent.clarification) {
+                priceData = await this.getMarketPrice(intent);
             }
 
             const negotiationGuidance = await this.negotiationAssistant.generateGuidance(
                 intent,
                 priceData,
-                voiceResult.text
+                transcript,
+                priceData ? this.costPrices[priceData.product] || null : null
             );
 
+            if (this.sessionTracking && priceData) {
+                negotiationGuidance.sessionStep = this.advanceNegotiationSession(intent, priceData);
+            }
+
             const response = await this.responseGenerator.formatResponse(
                 {
                     intent,
                     priceData,
                     negotiationGuidance,
-                    originalText: voiceResult.text
+                    customerPhrase: this.culturalContextManager.selectPhrase(negotiationGuidance, languageCode),
+                    originalText: transcript
                 },
                 currentLanguage
             );
 
-            this.displayResponse(response, priceData, intent);
+            this.displayResponse(response, priceData, intent, negotiationGuidance);
             this.hideStatus();
 
         } catch (error) {
@@ -1003,7 +4777,282 @@ class LinguisticBridge {
         }
     }
 
-    displayResponse(response, priceData, intent) {
+    getMarketPrice(intent) {
+        return this.priceDiscoveryEngine.getMarketPrice(
+            intent.product,
+            intent.category,
+            { region: this.region, quality: intent.quality, conditions: this.marketConditions }
+        );
+    }
+
+    async recordCostPrice(intent) {
+        if (intent.product === 'general item') return null;
+
+        const priceData = await this.getMarketPrice(intent);
+        const costPrice = this.negotiationAssistant.getUnitCost(intent, priceData);
+        if (costPrice === null) return null;
+
+        this.costPrices[priceData.product] = costPrice;
+        const thresholds = this.negotiationAssistant.calculatePriceThresholds(intent, priceData, costPrice);
+        const session = this.negotiationSession;
+        if (session && session.isActive() && session.product === priceData.product && session.unit === thresholds.unit) {
+            session.costPrice = costPrice;
+            session.floorPrice = Math.max(session.floorPrice, thresholds.floorPrice);
+            session.acceptPrice = Math.max(session.acceptPrice, session.floorPrice);
+        }
+        return { product: priceData.product, unit: thresholds.unit, costPrice, floorPrice: thresholds.floorPrice };
+    }
+
+    declareMarketConditions(conditions) {
+        conditions.forEach(condition => this.setMarketCondition(condition, true));
+    }
+
+    toggleMarketCondition(condition) {
+        const { active } = this.priceDiscoveryEngine.resolveMarketConditions(this.marketConditions);
+        this.setMarketCondition(condition, !active.includes(condition));
+    }
+
+    setMarketCondition(condition, value) {
+        this.marketConditions[condition] = value;
+        const opposite = this.exclusiveConditions[condition];
+        if (value && opposite) {
+            this.marketConditions[opposite] = false;
+        }
+        this.updateConditionToggles();
+    }
+
+    describeMarketConditions() {
+        const { active } = this.priceDiscoveryEngine.resolveMarketConditions(this.marketConditions);
+        return active.length > 0
+            ? active.map(condition => this.conditionLabels[condition]).join(', ')
+            : 'normal day';
+    }
+
+    updateConditionToggles() {
+        if (!this.conditionToggles) return;
+
+        const { active, festival, festivalFromCalendar } = this.priceDiscoveryEngine.resolveMarketConditions(this.marketConditions);
+        this.conditionToggles.querySelectorAll('[data-condition]').forEach(toggle => {
+            const condition = toggle.dataset.condition;
+            toggle.setAttribute('aria-pressed', String(active.includes(condition)));
+            if (condition === 'festivalSeason') {
+                toggle.title = festival
+                    ? `${festival.name} ${festival.daysUntil === 0 ? 'today' : `in ${festival.daysUntil} day(s)`}${festivalFromCalendar ? ' (from calendar)' : ''}`
+                    : '';
+            }
+        });
+    }
+
+    toggleSessionTracking() {
+        this.sessionTracking = !this.sessionTracking;
+        if (!this.sessionTracking) {
+            this.endNegotiationSession();
+        }
+        if (this.sessionButton) {
+            this.sessionButton.setAttribute('aria-pressed', String(this.sessionTracking));
+        }
+        this.showStatus(this.sessionTracking
+            ? 'Bargaining session on: offers are remembered until the deal closes.'
+            : 'Bargaining session off: each request is handled on its own.', 'info');
+    }
+
+    // Follow-up turns of a running bargain ("customer 32 bol raha hai") rarely repeat the product
+    applySessionProduct(intent) {
+        const session = this.negotiationSession;
+        if (!session || !session.isActive() || intent.product !== 'general item') return;
+
+        intent.product = session.product;
+        intent.category = this.intentClassifier.determineCategory(session.product, intent.language);
+        if (intent.clarification && intent.clarification.reason === 'product') {
+            intent.clarification = null;
+        }
+    }
+
+    advanceNegotiationSession(intent, priceData) {
+        const current = this.negotiationSession;
+        if (!current || !current.isActive() || current.product !== priceData.product) {
+            this.endNegotiationSession();
+            this.negotiationSession = this.negotiationAssistant.startSession(intent, priceData, this.costPrices[priceData.product] || null);
+            if (!this.negotiationSession) {
+                return null;
+            }
+            this.privacyManager.registerSessionStore(this.negotiationSession);
+        }
+
+        const session = this.negotiationSession;
+        if (intent.offeredPrice) {
+            this.negotiationAssistant.recordCustomerOffer(session, intent);
+        }
+        const step = this.negotiationAssistant.recommendNextStep(session);
+        this.negotiationAssistant.applySessionStep(session, step);
+        this.renderNegotiationSession(session);
+
+        if (!session.isActive()) {
+            this.endNegotiationSession();
+        }
+        return step;
+    }
+
+    endNegotiationSession() {
+        if (this.negotiationSession) {
+            this.privacyManager.clearAllData();
+            this.negotiationSession = null;
+        }
+    }
+
+    renderNegotiationSession(session) {
+        if (!this.sessionInfo) return;
+
+        const content = this.sessionInfo.querySelector('.info-content');
+        const labels = {
+            open: 'You opened at',
+            customer_offer: 'Customer offered',
+            vendor_counter: 'You countered',
+            agree: 'Deal at',
+            end: 'No deal'
+        };
+        const outcome = { agreed: 'Deal closed', ended: 'Session ended' }[session.state];
+
+        this.sessionInfo.classList.remove('hidden');
+        if (content) {
+            content.innerHTML = `
+                <p><strong>${session.product}:</strong> floor ₹${session.floorPrice} per ${session.unit}</p>
+                <ol class="session-history">${session.history.map(step => `
+                    <li class="session-step ${step.party || 'outcome'}">${labels[step.move]}${step.price !== null ? ` ₹${step.price}` : ''}</li>
+                `).join('')}</ol>
+                ${outcome
+                    ? `<p class="session-outcome">${outcome} · history cleared</p>`
+                    : '<button type="button" class="tutorial-button session-end-button">End session</button>'}
+            `;
+        }
+    }
+
+    toggleConversationMode() {
+        this.conversationMode = !this.conversationMode;
+        this.voiceInterface.cancelListening();
+        this.activeSpeaker = null;
+        this.stopListening();
+
+        if (this.conversationMode) {
+            const vendorLanguage = this.languageSelect ? this.languageSelect.value : 'en-US';
+            if (this.conversationManager.setLanguage('vendor', vendorLanguage) && this.conversationPanels.vendor.languageSelect) {
+                this.conversationPanels.vendor.languageSelect.value = vendorLanguage;
+            }
+        } else {
+            this.conversationManager.clear();
+            Object.values(this.conversationPanels).forEach(panel => {
+                if (panel.log) {
+                    panel.log.innerHTML = '';
+                }
+            });
+        }
+
+        if (this.conversationSection) {
+            this.conversationSection.classList.toggle('hidden', !this.conversationMode);
+        }
+        if (this.voiceCard) {
+            this.voiceCard.classList.toggle('hidden', this.conversationMode);
+        }
+        if (this.responseSection && this.conversationMode) {
+            this.responseSection.classList.add('hidden');
+        }
+        if (this.conversationButton) {
+            this.conversationButton.setAttribute('aria-pressed', String(this.conversationMode));
+        }
+    }
+
+    handleConversationInput(party) {
+        if (this.isProcessing) {
+            this.showStatus('Please wait, translating previous message...', 'info');
+            return;
+        }
+
+        if (!this.voiceInterface.canListen()) {
+            this.showStatus('Speech recognition not supported in this browser. Please use Chrome or Edge.', 'error');
+            return;
+        }
+
+        if (this.voiceInterface.isListening) {
+            // Tapping your own mic again finishes the turn; tapping the other party's mic discards it
+            if (this.activeSpeaker === party) {
+                this.voiceInterface.stopListening();
+                this.stopListening();
+                return;
+            }
+            this.voiceInterface.cancelListening();
+            this.activeSpeaker = null;
+            this.stopListening();
+        }
+
+        const panel = this.conversationPanels[party];
+        this.activeSpeaker = party;
+        if (panel.micButton) {
+            panel.micButton.classList.add('listening');
+        }
+        this.showStatus('Listening...', 'info');
+
+        const started = this.voiceInterface.startListening(this.conversationManager.getLanguage(party));
+        if (!started) {
+            this.activeSpeaker = null;
+            this.stopListening();
+            this.showStatus('Failed to start voice recognition. Please try again.', 'error');
+        }
+    }
+
+    async processConversationTurn(voiceResult) {
+        const speaker = this.activeSpeaker;
+        this.activeSpeaker = null;
+        this.stopListening();
+        this.isProcessing = true;
+
+        try {
+            this.privacyManager.clearAudioData();
+            const turn = await this.conversationManager.addTurn(speaker, voiceResult.text);
+            this.privacyManager.registerSessionStore(this.conversationManager);
+            this.renderConversationTurn(turn);
+            this.responseGenerator.generateSpeech(turn.spokenText, turn.toLanguage);
+        } catch (error) {
+            console.error('Error translating conversation turn:', error);
+            this.showStatus('Sorry, that message could not be translated.', 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    renderConversationTurn(turn) {
+        const speakerLog = this.conversationPanels[turn.speaker].log;
+        const listenerLog = this.conversationPanels[turn.listener].log;
+
+        if (speakerLog) {
+            const entry = document.createElement('div');
+            entry.className = 'conversation-entry own';
+            entry.lang = turn.fromLanguage;
+            entry.textContent = turn.text;
+            speakerLog.appendChild(entry);
+            speakerLog.scrollTop = speakerLog.scrollHeight;
+        }
+
+        if (listenerLog) {
+            const entry = document.createElement('div');
+            entry.className = 'conversation-entry incoming';
+            entry.lang = turn.toLanguage;
+            // Untranslated words stay in the speaker's language and are flagged so the listener knows to ask
+            turn.segments.forEach(segment => {
+                if (!segment.text) return;
+                const span = document.createElement('span');
+                span.textContent = segment.text + ' ';
+                if (!segment.translated) {
+                    span.className = 'untranslated';
+                    span.title = 'Not translated';
+                }
+                entry.appendChild(span);
+            });
+            listenerLog.appendChild(entry);
+            listenerLog.scrollTop = listenerLog.scrollHeight;
+        }
+    }
+
+    displayResponse(response, priceData, intent, negotiationGuidance, bill = null) {
         if (this.responseText) {
             this.responseText.textContent = response.text;
         }
@@ -1012,35 +5061,115 @@ class LinguisticBridge {
         }
         this.lastResponse = response;
         
-        this.updateInfoCards(priceData, intent);
+        this.updateInfoCards(priceData, intent, negotiationGuidance, bill);
     }
 
-    updateInfoCards(priceData, intent) {
+    updateInfoCards(priceData, intent, negotiationGuidance, bill = null) {
         const priceInfo = document.getElementById('priceInfo');
+        const seasonalInfo = document.getElementById('seasonalInfo');
         const negotiationTips = document.getElementById('negotiationTips');
+        const billInfo = document.getElementById('billInfo');
+
+        if (billInfo) {
+            billInfo.classList.toggle('hidden', !bill);
+            const content = billInfo.querySelector('.info-content');
+            if (bill && content) {
+                content.innerHTML = this.renderBill(bill);
+            }
+        }
+        if (priceInfo) {
+            priceInfo.classList.toggle('hidden', !priceData);
+        }
         
         if (priceData && priceInfo) {
-            priceInfo.classList.remove('hidden');
             const content = priceInfo.querySelector('.info-content');
             if (content) {
                 content.innerHTML = `
                     <p><strong>Market Price:</strong> ₹${priceData.marketPrice} per ${priceData.unit}</p>
                     <p><strong>Price Range:</strong> ₹${priceData.ranges?.minimum || priceData.minPrice} - ₹${priceData.ranges?.premium || priceData.maxPrice}</p>
                     <p><strong>Negotiation:</strong> ${priceData.negotiation?.flexibility || 'Moderate'} flexibility</p>
+                    ${priceData.qualityBands && priceData.qualityBands.length > 0 ? `<p><strong>Grades:</strong> ${priceData.qualityBands
+                        .map(band => `${band.selected ? '<strong>' : ''}${band.tier} ₹${band.marketPrice}${band.selected ? '</strong>' : ''}`)
+                        .join(' · ')}</p>` : ''}
+                    ${priceData.marketConditions && priceData.marketConditions.active.length > 0 ? `<p><strong>Today:</strong> ${priceData.marketConditions.active
+                        .map(condition => condition === 'festivalSeason' && priceData.marketConditions.festival ? priceData.marketConditions.festival.name : this.conditionLabels[condition])
+                        .join(' · ')}</p>` : ''}
+                    ${negotiationGuidance && negotiationGuidance.costBasis ? `<p><strong>Your cost:</strong> ₹${negotiationGuidance.costBasis.costPrice} per ${priceData.unit} · floor ₹${negotiationGuidance.costBasis.floorPrice} (${Math.round(negotiationGuidance.costBasis.margin * 100)}% margin)</p>` : ''}
+                    ${priceData.region ? `<p><strong>Region:</strong> ${priceData.region.region} (${priceData.region.negotiationStyle}, ×${priceData.region.multiplier})</p>` : ''}
+                    ${priceData.bulkPricing && priceData.bulkPricing.tiers.length > 0 ? `<p><strong>Bulk:</strong> ${priceData.bulkPricing.tiers
+                        .map(tier => `${tier.minQuantity}+ ${priceData.unit} @ ₹${tier.unitPrice}`)
+                        .join(' · ')}</p>` : ''}
                 `;
             }
         }
         
+        if (seasonalInfo) {
+            const outlook = priceData ? this.priceDiscoveryEngine.getSeasonalOutlook(priceData.product, this.region) : null;
+            seasonalInfo.classList.toggle('hidden', !outlook);
+            const content = seasonalInfo.querySelector('.info-content');
+            if (outlook && content) {
+                content.innerHTML = this.renderSeasonalInsights(outlook, priceData.season);
+            }
+        }
+        
         if (intent && negotiationTips) {
             negotiationTips.classList.remove('hidden');
             const content = negotiationTips.querySelector('.info-content');
             if (content) {
-                const tips = this.getTipsForIntent(intent.type);
+                const tips = [
+                    ...this.responseGenerator.describeTactics(negotiationGuidance, this.currentLanguage),
+                    ...this.getTipsForIntent(intent.type)
+                ];
                 content.innerHTML = `<ul>${tips.map(tip => `<li>${tip}</li>`).join('')}</ul>`;
             }
         }
     }
 
+    renderBill(bill) {
+        return `
+            <table class="bill-table">
+                <tbody>${bill.lines.map(line => `
+                    <tr>
+                        <td>${line.product}</td>
+                        <td>${line.quantity} ${line.unit}${line.quantityAssumed ? ' (assumed)' : ''}</td>
+                        <td>₹${line.unitPrice}${line.bulkDiscount > 0 ? ` <span class="bill-bulk">bulk −${Math.round(line.bulkDiscount * 100)}%</span>` : ''}</td>
+                        <td>₹${line.lineTotal}</td>
+                    </tr>
+                `).join('')}</tbody>
+                <tfoot>
+                    <tr><th colspan="3">Total</th><td>₹${bill.total}</td></tr>
+                    <tr class="bill-package"><th colspan="3">Package price</th><td>₹${bill.packagePrice}</td></tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    renderSeasonalInsights(outlook, currentSeason) {
+        const monthName = month => new Date(2000, month - 1, 1)
+            .toLocaleString(this.currentLanguage, { month: 'short' });
+        const listMonths = months => months.length > 0 ? months.map(monthName).join(', ') : 'Stable all year';
+        const seasonLabels = { peak: 'Peak season', low: 'Off-season', regular: 'Regular season' };
+        const currentMonth = currentSeason ? currentSeason.month : new Date().getMonth() + 1;
+        const current = outlook.months[currentMonth - 1];
+        const highestPrice = Math.max(...outlook.months.map(entry => entry.price));
+
+        const trend = entry => entry.multiplier < 1 ? 'below-normal' : entry.multiplier > 1 ? 'above-normal' : 'normal';
+
+        const strip = outlook.months.map(entry => `
+            <div class="season-month ${trend(entry)}${entry.month === currentMonth ? ' current' : ''}" title="${monthName(entry.month)}: ₹${entry.price} per ${outlook.unit}">
+                <div class="season-bar" style="height: ${Math.round((entry.price / highestPrice) * 100)}%"></div>
+                <span class="season-label">${monthName(entry.month).charAt(0)}</span>
+            </div>
+        `).join('');
+
+        return `
+            <p><strong>Now:</strong> ${seasonLabels[current.season] || current.season} (₹${current.price} per ${outlook.unit})</p>
+            <p><strong>Cheapest:</strong> ${listMonths(outlook.cheapestMonths)}</p>
+            <p><strong>Most expensive:</strong> ${listMonths(outlook.costliestMonths)}</p>
+            <div class="season-strip" aria-label="Month-by-month price trend">${strip}</div>
+        `;
+    }
+
     getTipsForIntent(intentType) {
         const tipMap = {
             bargaining: [
@@ -1053,6 +5182,26 @@ class LinguisticBridge {
                 'Offer tiered pricing',
                 'Build long-term relationship'
             ],
+            price_inquiry: [
+                'Quote the market rate clearly',
+                'Mention bulk rates if available',
+                'Leave room for a small discount'
+            ],
+            quality_inquiry: [
+                'Let the customer inspect the produce',
+                'Explain where it comes from',
+                'Price better grades a little higher'
+            ],
+            complaint: [
+                'Listen and apologise first',
+                'Offer a replacement from fresh stock',
+                'Keep the customer coming back'
+            ],
+            return_exchange: [
+                'Check the returned item calmly',
+                'Exchange spoiled produce without argument',
+                'Agree on a refund if no stock is left'
+            ],
             casual_inquiry: [
                 'Provide helpful information',
                 'Build trust and rapport',
@@ -1065,15 +5214,16 @@ class LinguisticBridge {
 
     speakResponse() {
         if (this.lastResponse) {
-            const currentLanguage = this.languageSelect ? this.languageSelect.value : 'en-US';
+            // The answer may be in the detected language while the dropdown stays where the vendor left it
             this.responseGenerator.generateSpeech(
                 this.lastResponse.text,
-                currentLanguage
+                this.lastResponse.language
             );
         }
     }
 
     handleVoiceError(error) {
+        this.activeSpeaker = null;
         this.stopListening();
         this.isProcessing = false;
         
@@ -1084,10 +5234,13 @@ class LinguisticBridge {
                 errorMessage = 'No speech detected. Please speak clearly and try again.';
                 break;
             case 'not-allowed':
-                errorMessage = 'Microphone access denied. Please allow microphone access and try again.';
+            case 'service-not-allowed':
+                errorMessage = 'Microphone access denied. Type your question below, or allow microphone access and try again.';
+                this.focusTextInput();
                 break;
             case 'network':
-                errorMessage = 'Network error. Please check your connection and try again.';
+                errorMessage = 'Network error. Type your question below, or check your connection and try again.';
+                this.focusTextInput();
                 break;
             case 'start_failed':
                 errorMessage = 'Failed to start voice recognition. Please try again.';
@@ -1115,21 +5268,84 @@ class LinguisticBridge {
     }
 
     getLanguageCode(browserLang) {
-        const langMap = {
-            'en-US': 'english',
-            'hi-IN': 'hindi',
-            'kn-IN': 'kannada',
-            'ta-IN': 'tamil',
-            'te-IN': 'telugu',
-            'bn-IN': 'bengali'
-        };
-        return langMap[browserLang] || 'english';
+        return this.languageCodes[browserLang] || 'english';
+    }
+
+    getBrowserLanguage(languageCode) {
+        return Object.keys(this.languageCodes).find(browserLang => this.languageCodes[browserLang] === languageCode) || null;
+    }
+
+    getLanguageLabel(browserLang) {
+        const option = this.languageSelect && Array.from(this.languageSelect.options || []).find(entry => entry.value === browserLang);
+        // Drop the flag so the label reads naturally inside a sentence
+        return option ? option.textContent.replace(/^[^\p{L}]+/u, '') : browserLang;
+    }
+
+    setLanguage(browserLang) {
+        this.currentLanguage = browserLang;
+        if (this.languageSelect) {
+            this.languageSelect.value = browserLang;
+        }
+        if (this.textInput) {
+            // Hints on-screen keyboards toward the selected script
+            this.textInput.lang = browserLang;
+        }
+        console.log('Language changed to:', browserLang);
+    }
+
+    // Vendors forget the dropdown. Every utterance, single product or bill, is answered in the language it was
+    // spoken in whenever there are answers for that language. Native script is unambiguous, so it also switches the
+    // dropdown; the dominant language of romanized speech only offers the switch.
+    reconcileLanguage(intent, currentLanguage) {
+        const identified = intent.identifiedLanguage;
+        const detectedLanguage = identified ? this.getBrowserLanguage(identified.language) : null;
+        if (!detectedLanguage || detectedLanguage === currentLanguage || !this.canAnswerIn(detectedLanguage) ||
+            !['script', 'lexicon'].includes(identified.source)) {
+            this.hideLanguageSuggestion();
+            return { intent, language: currentLanguage };
+        }
+
+        if (identified.source === 'script') {
+            this.setLanguage(detectedLanguage);
+            this.showLanguageSuggestion(
+                `Switched to ${this.getLanguageLabel(detectedLanguage)} from your words.`,
+                `Keep ${this.getLanguageLabel(currentLanguage)}`,
+                currentLanguage
+            );
+        } else {
+            this.showLanguageSuggestion(
+                `Sounds like ${this.getLanguageLabel(detectedLanguage)}; answered in it.`,
+                `Switch to ${this.getLanguageLabel(detectedLanguage)}`,
+                detectedLanguage
+            );
+        }
+        return { intent: { ...intent, language: identified.language }, language: detectedLanguage };
+    }
+
+    canAnswerIn(browserLang) {
+        return Boolean(this.responseGenerator.responseTemplates[browserLang]);
+    }
+
+    showLanguageSuggestion(message, action, language) {
+        this.suggestedLanguage = language;
+        if (!this.languageSuggestion) return;
+
+        this.languageSuggestion.querySelector('.language-suggestion-text').textContent = message;
+        this.languageSuggestion.querySelector('.language-suggestion-action').textContent = action;
+        this.languageSuggestion.classList.remove('hidden');
+    }
+
+    hideLanguageSuggestion() {
+        this.suggestedLanguage = null;
+        if (this.languageSuggestion) {
+            this.languageSuggestion.classList.add('hidden');
+        }
     }
 }
 
 // Initialize application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    window.linguisticBridge = new LinguisticBridge();
+    window.linguisticBridge = new LinguisticBridge({ recognizerWorkerUrl: document.body.dataset.recognizerWorker });
 });
 
 // Expose classes globally for testing